@@ -1,187 +1,534 @@
 /**
- * 清除翻譯快取腳本
- * 
- * 用途：清除 Firestore 中的舊翻譯快取，以便使用新的母語化 prompt 重新翻譯
- * 
+ * 翻譯快取管理工具
+ *
+ * 用途：查看、統計、清除、匯出與匯入 Firestore 中的翻譯快取（translation_cache）
+ * 所有掃描都以分頁進行，不會一次把整個集合載入記憶體
+ *
  * 使用方式：
- * 1. 確保已安裝 firebase-admin: npm install firebase-admin
- * 2. 執行腳本: node clear-translation-cache.js
+ *   node clear-translation-cache.js <命令> [選項]
+ *
+ * 命令：
+ *   list                     分頁列出快取（--lang、--limit、--cursor）
+ *   stats                    依目標語言、來源語言、prompt 版本與建立時間統計
+ *   inspect <文字> <語言>     列出同一段原文的所有快取版本
+ *   purge                    依條件清除快取（至少需要一個條件，或加上 --all）
+ *   export --file=<路徑>      匯出為 JSON（可搭配與 purge 相同的條件）
+ *   import --file=<路徑>      從 JSON 匯入（預設略過已存在的文件，--overwrite 覆寫）
+ *
+ * 條件（purge / export）：
+ *   --lang=ja                目標語言
+ *   --before=2026-01-01      建立時間早於此日期
+ *   --after=2025-12-01       建立時間晚於（含）此日期
+ *   --max-access=1           訪問次數小於等於此值
+ *   --prompt-version=v2      prompt 版本（legacy 表示沒有版本欄位的舊快取）
+ *
+ * 共用選項：
+ *   --project=<id>           Firebase 專案（預設 GCLOUD_PROJECT 或 .firebaserc 的 prod）
+ *   --emulator[=host:port]   連線到 Firestore 模擬器（預設 FIRESTORE_EMULATOR_HOST 或 localhost:8080）
+ *   --dry-run                只顯示會受影響的文件數量，不寫入也不刪除
+ *   --page-size=500          每頁讀取的文件數（最多 500）
  */
 
-const admin = require('firebase-admin');
-const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
-// 初始化 Firebase Admin
-admin.initializeApp({
-  projectId: 'ride-platform-f1676',
-});
+// firebase-admin 安裝在 functions/ 底下，從專案根目錄執行時也能找到
+const admin = require(require.resolve('firebase-admin', {
+  paths: [__dirname, path.join(__dirname, 'functions')],
+}));
 
-const db = admin.firestore();
+const CACHE_COLLECTION = 'translation_cache';
+const MAX_BATCH_SIZE = 500; // Firestore 批次操作限制
+const TIMESTAMP_FIELDS = ['createdAt', 'lastAccessedAt'];
+const AGE_BUCKETS = [
+  { label: '< 1 天', maxDays: 1 },
+  { label: '1-7 天', maxDays: 7 },
+  { label: '7-30 天', maxDays: 30 },
+  { label: '> 30 天', maxDays: Infinity },
+];
 
 /**
- * 生成快取鍵
+ * 解析命令列參數
+ * @param {string[]} argv
+ * @returns {{command: string, positional: string[], options: Object}}
  */
-function generateCacheKey(text, targetLang) {
-  const input = `${text}|${targetLang}`;
-  return crypto.createHash('sha256').update(input).digest('hex');
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      options[key] = rest.length > 0 ? rest.join('=') : true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional.shift() || 'help', positional, options };
 }
 
 /**
- * 方案 1：清除所有翻譯快取
+ * 決定要連線的專案（--project → GCLOUD_PROJECT → .firebaserc）
+ * @param {Object} options
+ * @returns {string|null}
  */
-async function clearAllCache() {
-  console.log('🗑️  開始清除所有翻譯快取...\n');
-  
-  try {
-    const snapshot = await db.collection('translation_cache').get();
-    
+function resolveProjectId(options) {
+  if (typeof options.project === 'string') {
+    return options.project;
+  }
+  if (process.env.GCLOUD_PROJECT) {
+    return process.env.GCLOUD_PROJECT;
+  }
+
+  const rcPath = path.join(__dirname, '.firebaserc');
+  if (fs.existsSync(rcPath)) {
+    const { projects = {} } = JSON.parse(fs.readFileSync(rcPath, 'utf8'));
+    return projects.default || projects.prod || null;
+  }
+  return null;
+}
+
+/**
+ * 初始化 Firestore（--emulator 時連線到模擬器）
+ * @param {Object} options
+ * @returns {{db: FirebaseFirestore.Firestore, projectId: string, target: string}}
+ */
+function initFirestore(options) {
+  if (options.emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST = typeof options.emulator === 'string'
+      ? options.emulator
+      : (process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080');
+  }
+
+  const projectId = resolveProjectId(options);
+  if (!projectId) {
+    throw new Error('無法決定 Firebase 專案，請使用 --project=<id>');
+  }
+
+  admin.initializeApp({ projectId });
+  const target = process.env.FIRESTORE_EMULATOR_HOST
+    ? `模擬器 ${process.env.FIRESTORE_EMULATOR_HOST}`
+    : '正式環境';
+
+  return { db: admin.firestore(), projectId, target };
+}
+
+/**
+ * 解析日期參數（YYYY-MM-DD）
+ * @param {string|undefined} value
+ * @param {string} name - 參數名稱（錯誤訊息用）
+ * @returns {Date|null}
+ */
+function parseDate(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} 必須是 YYYY-MM-DD 格式`);
+  }
+  return date;
+}
+
+/**
+ * 由命令列選項建立篩選條件
+ * @param {Object} options
+ * @returns {{lang: string|null, before: Date|null, after: Date|null, maxAccess: number|null, promptVersion: string|null}}
+ */
+function buildFilter(options) {
+  const maxAccess = options['max-access'] !== undefined ? parseInt(options['max-access']) : null;
+  if (maxAccess !== null && Number.isNaN(maxAccess)) {
+    throw new Error('--max-access 必須是數字');
+  }
+
+  return {
+    lang: typeof options.lang === 'string' ? options.lang : null,
+    before: parseDate(options.before, 'before'),
+    after: parseDate(options.after, 'after'),
+    maxAccess,
+    promptVersion: typeof options['prompt-version'] === 'string' ? options['prompt-version'] : null,
+  };
+}
+
+function hasConditions(filter) {
+  return Object.values(filter).some((value) => value !== null);
+}
+
+/**
+ * 檢查文件是否符合篩選條件（目標語言已在查詢時篩選）
+ * @param {Object} data - 文件資料
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(data, filter) {
+  const createdAt = data.createdAt ? data.createdAt.toDate() : null;
+
+  if (filter.before && (!createdAt || createdAt >= filter.before)) {
+    return false;
+  }
+  if (filter.after && (!createdAt || createdAt < filter.after)) {
+    return false;
+  }
+  if (filter.maxAccess !== null && (data.accessCount || 0) > filter.maxAccess) {
+    return false;
+  }
+  if (filter.promptVersion !== null && (data.promptVersion || 'legacy') !== filter.promptVersion) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 依文件 ID 分頁掃描快取集合
+ *
+ * 只有目標語言在伺服器端篩選（等值條件不需要複合索引），其餘條件逐頁在本機比對
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} filter
+ * @param {number} pageSize
+ * @param {function(FirebaseFirestore.QueryDocumentSnapshot[]): Promise<void>} onPage - 每頁符合條件的文件
+ * @returns {Promise<number>} - 掃描的文件總數
+ */
+async function scanCache(db, filter, pageSize, onPage) {
+  let query = db.collection(CACHE_COLLECTION);
+  if (filter.lang) {
+    query = query.where('targetLang', '==', filter.lang);
+  }
+  query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+
+  let scanned = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
     if (snapshot.empty) {
-      console.log('✅ 快取集合為空，無需清除');
-      return;
+      break;
     }
-    
-    console.log(`📊 找到 ${snapshot.size} 個快取項目`);
-    
-    // 使用批次操作刪除
-    const batchSize = 500; // Firestore 批次操作限制
-    let deletedCount = 0;
-    
-    for (let i = 0; i < snapshot.docs.length; i += batchSize) {
-      const batch = db.batch();
-      const batchDocs = snapshot.docs.slice(i, i + batchSize);
-      
-      batchDocs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
-      
-      await batch.commit();
-      deletedCount += batchDocs.length;
-      
-      console.log(`   已刪除 ${deletedCount}/${snapshot.size} 個快取項目...`);
+
+    scanned += snapshot.size;
+    await onPage(snapshot.docs.filter((doc) => matchesFilter(doc.data(), filter)));
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < pageSize) {
+      break;
     }
-    
-    console.log(`\n✅ 成功清除 ${deletedCount} 個翻譯快取`);
-    console.log('💡 提示：下次翻譯時會使用新的母語化 prompt');
-    
-  } catch (error) {
-    console.error('❌ 清除快取失敗:', error);
-    throw error;
-  }
-}
-
-/**
- * 方案 2：清除特定文字的翻譯快取
- */
-async function clearSpecificCache(translations) {
-  console.log('🗑️  開始清除特定翻譯快取...\n');
-  
-  let deletedCount = 0;
-  let notFoundCount = 0;
-  
-  for (const { text, targetLang } of translations) {
-    try {
-      const cacheKey = generateCacheKey(text, targetLang);
-      const docRef = db.collection('translation_cache').doc(cacheKey);
-      const doc = await docRef.get();
-      
-      if (doc.exists) {
-        await docRef.delete();
-        deletedCount++;
-        console.log(`✅ 已刪除: "${text}" -> ${targetLang}`);
-      } else {
-        notFoundCount++;
-        console.log(`⚠️  未找到: "${text}" -> ${targetLang}`);
-      }
-    } catch (error) {
-      console.error(`❌ 刪除失敗: "${text}" -> ${targetLang}`, error);
+  }
+
+  return scanned;
+}
+
+/**
+ * 將文件轉為可寫入 JSON 的格式（Timestamp 轉為 ISO 字串）
+ */
+function serializeDoc(doc) {
+  const data = { ...doc.data() };
+  for (const field of TIMESTAMP_FIELDS) {
+    if (data[field] && typeof data[field].toDate === 'function') {
+      data[field] = data[field].toDate().toISOString();
     }
   }
-  
-  console.log(`\n📊 清除結果:`);
-  console.log(`   ✅ 成功刪除: ${deletedCount} 個`);
-  console.log(`   ⚠️  未找到: ${notFoundCount} 個`);
+  return { id: doc.id, ...data };
 }
 
 /**
- * 方案 3：查看快取內容（診斷用）
+ * 將匯入的項目還原為 Firestore 文件資料（ISO 字串轉回 Timestamp）
  */
-async function inspectCache(text, targetLang) {
-  console.log(`🔍 檢查快取: "${text}" -> ${targetLang}\n`);
-  
-  try {
-    const cacheKey = generateCacheKey(text, targetLang);
-    const doc = await db.collection('translation_cache').doc(cacheKey).get();
-    
-    if (!doc.exists) {
-      console.log('❌ 快取不存在');
-      return;
+function deserializeEntry(entry) {
+  const { id, ...data } = entry;
+  for (const field of TIMESTAMP_FIELDS) {
+    if (typeof data[field] === 'string') {
+      data[field] = admin.firestore.Timestamp.fromDate(new Date(data[field]));
+    }
+  }
+  return { id, data };
+}
+
+function formatDate(timestamp) {
+  return timestamp ? timestamp.toDate().toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+function truncate(text, length) {
+  const value = String(text || '').replace(/\s+/g, ' ');
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+}
+
+/**
+ * list：分頁列出快取（依文件 ID 排序，--cursor 傳入上一頁最後一筆的 ID）
+ */
+async function listCache(db, options) {
+  const limit = Math.min(parseInt(options.limit || '20'), MAX_BATCH_SIZE);
+  let query = db.collection(CACHE_COLLECTION);
+  if (typeof options.lang === 'string') {
+    query = query.where('targetLang', '==', options.lang);
+  }
+  query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+  if (typeof options.cursor === 'string') {
+    query = query.startAfter(options.cursor);
+  }
+
+  const snapshot = await query.get();
+  if (snapshot.empty) {
+    console.log('✅ 沒有更多快取項目');
+    return;
+  }
+
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    console.log(`${doc.id.substring(0, 12)}  ${(data.sourceLang || '?').padEnd(5)} → ${(data.targetLang || '?').padEnd(5)}  `
+      + `${formatDate(data.createdAt)}  ×${String(data.accessCount || 0).padEnd(4)} `
+      + `${(data.promptVersion || 'legacy').padEnd(10)} "${truncate(data.text, 30)}" → "${truncate(data.translatedText, 30)}"`);
+  });
+
+  console.log(`\n📄 本頁 ${snapshot.size} 筆`);
+  if (snapshot.size === limit) {
+    const lastId = snapshot.docs[snapshot.docs.length - 1].id;
+    console.log(`➡️  下一頁：node clear-translation-cache.js list --cursor=${lastId}${options.lang ? ` --lang=${options.lang}` : ''} --limit=${limit}`);
+  }
+}
+
+/**
+ * stats：依目標語言、來源語言、prompt 版本與建立時間統計
+ */
+async function showStats(db, options, pageSize) {
+  const filter = buildFilter(options);
+  const now = Date.now();
+  const byTargetLang = {};
+  const bySourceLang = {};
+  const byPromptVersion = {};
+  const byAge = Object.fromEntries(AGE_BUCKETS.map((bucket) => [bucket.label, 0]));
+  let total = 0;
+  let totalAccess = 0;
+
+  const increment = (map, key) => {
+    map[key] = (map[key] || 0) + 1;
+  };
+
+  await scanCache(db, filter, pageSize, async (docs) => {
+    for (const doc of docs) {
+      const data = doc.data();
+      total++;
+      totalAccess += data.accessCount || 0;
+      increment(byTargetLang, data.targetLang || '?');
+      increment(bySourceLang, data.sourceLang || '?');
+      increment(byPromptVersion, data.promptVersion || 'legacy');
+
+      const ageDays = data.createdAt ? (now - data.createdAt.toMillis()) / (24 * 60 * 60 * 1000) : Infinity;
+      const bucket = AGE_BUCKETS.find((item) => ageDays < item.maxDays) || AGE_BUCKETS[AGE_BUCKETS.length - 1];
+      byAge[bucket.label]++;
     }
-    
+  });
+
+  const printGroup = (title, map) => {
+    console.log(`\n${title}`);
+    Object.entries(map)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key, count]) => console.log(`   ${key.padEnd(12)} ${count}`));
+  };
+
+  console.log(`📊 快取項目：${total} 筆，總訪問次數：${totalAccess}`);
+  printGroup('🌐 目標語言:', byTargetLang);
+  printGroup('🗣️  來源語言:', bySourceLang);
+  printGroup('🧩 Prompt 版本:', byPromptVersion);
+  console.log('\n⏱️  建立時間:');
+  AGE_BUCKETS.forEach(({ label }) => console.log(`   ${label.padEnd(12)} ${byAge[label]}`));
+}
+
+/**
+ * inspect：列出同一段原文的所有快取版本
+ */
+async function inspectCache(db, text, targetLang) {
+  console.log(`🔍 檢查快取: "${text}" -> ${targetLang}\n`);
+
+  const snapshot = await db.collection(CACHE_COLLECTION)
+    .where('text', '==', text)
+    .where('targetLang', '==', targetLang)
+    .get();
+
+  if (snapshot.empty) {
+    console.log('❌ 快取不存在');
+    return;
+  }
+
+  console.log(`✅ 找到 ${snapshot.size} 個快取版本:`);
+  snapshot.docs.forEach((doc) => {
     const data = doc.data();
-    console.log('✅ 快取存在:');
-    console.log(`   原文: ${data.text}`);
+    console.log(`\n   [${data.keyProvider ? `${data.keyProvider}:` : ''}${data.keyModel || data.model || '?'} / prompt ${data.promptVersion || 'legacy'} / ${data.sourceLang || '?'} → ${data.targetLang} / ${data.register || '-'}]`);
+    console.log(`   ID: ${doc.id}`);
     console.log(`   譯文: ${data.translatedText}`);
-    console.log(`   目標語言: ${data.targetLang}`);
-    console.log(`   創建時間: ${data.createdAt?.toDate()}`);
-    console.log(`   訪問次數: ${data.accessCount}`);
-    console.log(`   最後訪問: ${data.lastAccessedAt?.toDate()}`);
-    
-  } catch (error) {
-    console.error('❌ 檢查快取失敗:', error);
+    console.log(`   Provider: ${data.provider || '-'}（${data.model || '-'}）`);
+    console.log(`   創建時間: ${formatDate(data.createdAt)}`);
+    console.log(`   訪問次數: ${data.accessCount || 0}`);
+    console.log(`   最後訪問: ${formatDate(data.lastAccessedAt)}`);
+  });
+}
+
+/**
+ * purge：依條件分頁清除快取
+ */
+async function purgeCache(db, options, pageSize, dryRun) {
+  const filter = buildFilter(options);
+  if (!hasConditions(filter) && !options.all) {
+    throw new Error('purge 至少需要一個條件（--lang、--before、--after、--max-access、--prompt-version），清除全部請加上 --all');
   }
+
+  console.log(`🗑️  ${dryRun ? '[dry-run] 計算' : '開始清除'}符合條件的翻譯快取...\n`);
+  let matched = 0;
+
+  const scanned = await scanCache(db, filter, pageSize, async (docs) => {
+    matched += docs.length;
+    if (dryRun || docs.length === 0) {
+      return;
+    }
+
+    const batch = db.batch();
+    docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    console.log(`   已刪除 ${matched} 個快取項目...`);
+  });
+
+  console.log(`\n📊 掃描 ${scanned} 筆，符合條件 ${matched} 筆`);
+  console.log(dryRun ? '💡 dry-run：未刪除任何文件' : `✅ 成功清除 ${matched} 個翻譯快取`);
+}
+
+/**
+ * export：匯出為 JSON（逐頁寫入檔案）
+ */
+async function exportCache(db, options, pageSize, projectId) {
+  if (typeof options.file !== 'string') {
+    throw new Error('export 需要 --file=<路徑>');
+  }
+
+  const filter = buildFilter(options);
+  const stream = fs.createWriteStream(options.file);
+  stream.write(`{\n  "project": ${JSON.stringify(projectId)},\n  "exportedAt": "${new Date().toISOString()}",\n  "entries": [\n`);
+
+  let exported = 0;
+  await scanCache(db, filter, pageSize, async (docs) => {
+    for (const doc of docs) {
+      stream.write(`${exported > 0 ? ',\n' : ''}    ${JSON.stringify(serializeDoc(doc))}`);
+      exported++;
+    }
+  });
+
+  stream.write('\n  ]\n}\n');
+  await new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    stream.end(resolve);
+  });
+
+  console.log(`💾 已匯出 ${exported} 個快取項目到 ${options.file}`);
+}
+
+/**
+ * import：從 JSON 匯入（預設略過已存在的文件）
+ */
+async function importCache(db, options, dryRun) {
+  if (typeof options.file !== 'string') {
+    throw new Error('import 需要 --file=<路徑>');
+  }
+
+  const { entries = [] } = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+  const overwrite = Boolean(options.overwrite);
+  let written = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < entries.length; i += MAX_BATCH_SIZE) {
+    const chunk = entries.slice(i, i + MAX_BATCH_SIZE).map(deserializeEntry);
+    const refs = chunk.map(({ id }) => db.collection(CACHE_COLLECTION).doc(id));
+    const existing = overwrite ? [] : await db.getAll(...refs);
+
+    const batch = db.batch();
+    let batchSize = 0;
+    chunk.forEach(({ data }, index) => {
+      if (!overwrite && existing[index].exists) {
+        skipped++;
+        return;
+      }
+      batch.set(refs[index], data);
+      batchSize++;
+    });
+
+    written += batchSize;
+    if (!dryRun && batchSize > 0) {
+      await batch.commit();
+      console.log(`   已匯入 ${written}/${entries.length} 個快取項目...`);
+    }
+  }
+
+  console.log(`\n📊 檔案內 ${entries.length} 筆：${dryRun ? '將寫入' : '寫入'} ${written} 筆，略過已存在 ${skipped} 筆`);
+  if (dryRun) {
+    console.log('💡 dry-run：未寫入任何文件');
+  }
+}
+
+function printUsage() {
+  console.log('使用方式:');
+  console.log('  node clear-translation-cache.js list [--lang=ja] [--limit=20] [--cursor=<id>]');
+  console.log('  node clear-translation-cache.js stats [--lang=ja]');
+  console.log('  node clear-translation-cache.js inspect "文字" ja');
+  console.log('  node clear-translation-cache.js purge --lang=ja --before=2026-01-01 --max-access=1 [--dry-run]');
+  console.log('  node clear-translation-cache.js purge --prompt-version=legacy [--dry-run]');
+  console.log('  node clear-translation-cache.js purge --all [--dry-run]');
+  console.log('  node clear-translation-cache.js export --file=cache.json [--lang=ja]');
+  console.log('  node clear-translation-cache.js import --file=cache.json [--overwrite] [--dry-run]');
+  console.log('\n共用選項: --project=<id>  --emulator[=host:port]  --dry-run  --page-size=500');
 }
 
 /**
  * 主函數
  */
 async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0] || 'all';
-  
-  console.log('=' .repeat(80));
-  console.log('🧹 翻譯快取清除工具');
-  console.log('=' .repeat(80));
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+
+  if (command === 'help' || options.help) {
+    printUsage();
+    return;
+  }
+
+  const dryRun = Boolean(options['dry-run']);
+  const pageSize = Math.min(parseInt(options['page-size'] || String(MAX_BATCH_SIZE)), MAX_BATCH_SIZE);
+  const { db, projectId, target } = initFirestore(options);
+
+  console.log('='.repeat(80));
+  console.log(`🧹 翻譯快取管理工具（${projectId}，${target}${dryRun ? '，dry-run' : ''}）`);
+  console.log('='.repeat(80));
   console.log('');
-  
-  try {
-    if (command === 'all') {
-      // 清除所有快取
-      await clearAllCache();
-      
-    } else if (command === 'specific') {
-      // 清除特定快取（測試案例）
-      const testCases = [
-        { text: '新年快樂', targetLang: 'ja' },
-        { text: '謝謝', targetLang: 'ja' },
-        { text: '吃飽了嗎？', targetLang: 'ja' },
-        { text: 'How are you?', targetLang: 'zh-TW' },
-      ];
-      
-      await clearSpecificCache(testCases);
-      
-    } else if (command === 'inspect') {
-      // 檢查特定快取
-      const text = args[1] || '新年快樂';
-      const targetLang = args[2] || 'ja';
-      await inspectCache(text, targetLang);
-      
-    } else {
-      console.log('❌ 未知命令');
-      console.log('\n使用方式:');
-      console.log('  node clear-translation-cache.js all              # 清除所有快取');
-      console.log('  node clear-translation-cache.js specific         # 清除測試案例快取');
-      console.log('  node clear-translation-cache.js inspect "文字" ja  # 檢查特定快取');
-    }
-    
-  } catch (error) {
-    console.error('\n❌ 執行失敗:', error);
-    process.exit(1);
+
+  switch (command) {
+    case 'list':
+      await listCache(db, options);
+      break;
+    case 'stats':
+      await showStats(db, options, pageSize);
+      break;
+    case 'inspect':
+      if (positional.length < 2) {
+        throw new Error('inspect 需要 <文字> <目標語言>');
+      }
+      await inspectCache(db, positional[0], positional[1]);
+      break;
+    case 'purge':
+      await purgeCache(db, options, pageSize, dryRun);
+      break;
+    case 'export':
+      await exportCache(db, options, pageSize, projectId);
+      break;
+    case 'import':
+      await importCache(db, options, dryRun);
+      break;
+    default:
+      console.log(`❌ 未知命令：${command}\n`);
+      printUsage();
+      process.exitCode = 1;
   }
-  
+
   console.log('\n' + '='.repeat(80));
-  process.exit(0);
 }
 
 // 執行主函數
-main();
-
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error('\n❌ 執行失敗:', error.message);
+    process.exit(1);
+  });
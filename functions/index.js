@@ -4,7 +4,7 @@
  * 功能：
  * 1. onMessageCreate - 自動翻譯新訊息（onCreate 觸發器）- 將被移除
  * 2. translateMessage - 按需翻譯（HTTPS 端點）- 將被移除
- * 3. translate - 新的翻譯端點（HTTPS）- 按需翻譯 + Firestore 快取
+ * 3. translate - 新的翻譯端點（HTTPS）- 按需翻譯 + 兩層快取（記憶體 LRU + Firestore）
  *
  * 使用 Google Cloud Secret Manager 儲存敏感資訊
  */
@@ -14,6 +14,13 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { defineSecret } = require('firebase-functions/params');
 const admin = require('firebase-admin');
 const { getTranslationService } = require('./src/services/translationService');
+const { LanguageDetectionService } = require('./src/services/languageDetectionService');
+const { ChatRoomService } = require('./src/services/chatRoomService');
+const { DisplayTranslationService } = require('./src/services/displayTranslationService');
+const { TRANSLATION_REGISTERS, UserPreferenceService, normalizePreferredLang } = require('./src/services/userPreferenceService');
+const { UsageService } = require('./src/services/usageService');
+const { enforceRateLimit } = require('./src/utils/rateLimit');
+const { resolveLanguage } = require('./src/utils/languages');
 
 // 初始化 Firebase Admin
 admin.initializeApp();
@@ -28,10 +35,74 @@ exports.translate = translate;
 const { stt } = require('./src/endpoints/stt');
 exports.stt = stt;
 
+// 導出 STT + 翻譯合併端點
+const { sttAndTranslate } = require('./src/endpoints/sttAndTranslate');
+exports.sttAndTranslate = sttAndTranslate;
+
 // 導出 TTS 端點
 const { tts } = require('./src/endpoints/tts');
 exports.tts = tts;
 
+// 導出批次翻譯端點
+const { translateBatch } = require('./src/endpoints/translateBatch');
+exports.translateBatch = translateBatch;
+
+// 導出語言偵測端點
+const { detectLanguage } = require('./src/endpoints/detectLanguage');
+exports.detectLanguage = detectLanguage;
+
+// 導出詞彙表管理端點
+const { glossary } = require('./src/endpoints/glossary');
+exports.glossary = glossary;
+
+// 導出語言列表端點
+const { languages } = require('./src/endpoints/languages');
+exports.languages = languages;
+
+// 導出用量查詢端點
+const { usage } = require('./src/endpoints/usage');
+exports.usage = usage;
+
+// 導出翻譯修正端點
+const { translationCorrections } = require('./src/endpoints/translationCorrections');
+exports.translationCorrections = translationCorrections;
+
+// 導出司機快速回覆端點
+const { quickReplies } = require('./src/endpoints/quickReplies');
+exports.quickReplies = quickReplies;
+const { sendQuickReply } = require('./src/endpoints/sendQuickReply');
+exports.sendQuickReply = sendQuickReply;
+
+// 導出顯示翻譯解析端點
+const { resolveTranslations } = require('./src/endpoints/resolveTranslations');
+exports.resolveTranslations = resolveTranslations;
+
+// 導出聊天紀錄批次翻譯端點
+const { translateHistory } = require('./src/endpoints/translateHistory');
+exports.translateHistory = translateHistory;
+
+// 導出翻譯快取過期清理排程
+const { cleanupTranslationCache } = require('./src/endpoints/cacheCleanup');
+exports.cleanupTranslationCache = cleanupTranslationCache;
+
+// 導出常用短句快取預熱排程
+const { prewarmTranslationCache } = require('./src/endpoints/cacheWarmup');
+exports.prewarmTranslationCache = prewarmTranslationCache;
+
+// 導出偏好語言正規化觸發器
+const { normalizeUserLanguage } = require('./src/endpoints/userLanguage');
+exports.normalizeUserLanguage = normalizeUserLanguage;
+
+// 導出重新翻譯觸發器（訊息編輯、偏好語言改變）
+const { onMessageUpdate } = require('./src/endpoints/messageEdit');
+exports.onMessageUpdate = onMessageUpdate;
+const { onPreferredLangChange } = require('./src/endpoints/preferenceChange');
+exports.onPreferredLangChange = onPreferredLangChange;
+
+// 導出客服對話自動翻譯觸發器
+const { onCustomerServiceMessageCreate } = require('./src/endpoints/customerServiceTranslation');
+exports.onCustomerServiceMessageCreate = onCustomerServiceMessageCreate;
+
 // 導出推播通知觸發器
 const { onNewChatMessage } = require('./src/endpoints/pushNotification');
 exports.onNewChatMessage = onNewChatMessage;
@@ -48,9 +119,14 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
  * 流程：
  * 1. 讀取訊息的 text 和 lang
  * 2. 檢查是否啟用自動翻譯
- * 3. 檢查訊息長度是否符合自動翻譯條件
- * 4. 針對目標語言清單逐一翻譯
- * 5. 寫回 translations.{lang} 欄位
+ * 3. 偵測來源語言並寫回 detectedLang / detectedLangConfidence
+ * 4. 檢查訊息長度是否符合自動翻譯條件
+ * 5. 讀取聊天室所有成員（乘客、司機、調度、客服及 participantIds）的偏好語言，
+ *    發送者以外的每個不同語言各翻譯一次（同語言成員的語氣一致時使用該語氣）
+ * 6. 讀取同一聊天室的前幾則訊息作為上下文
+ * 7. 針對目標語言清單逐一翻譯（依 provider fallback 鏈）
+ * 8. 寫回 translations.{lang} 欄位（含產生翻譯的 provider）與 viewerLangs（每位成員應看到的語言）
+ * 9. 記錄用量（歸屬於發送者）
  */
 exports.onMessageCreate = onDocumentCreated({
   document: 'chat_rooms/{roomId}/messages/{messageId}',
@@ -80,7 +156,6 @@ exports.onMessageCreate = onDocumentCreated({
 
     // 讀取訊息內容
     const text = messageData.messageText;
-    const sourceLang = messageData.detectedLang || messageData.lang || 'zh-TW';
     const senderId = messageData.senderId;
     const receiverId = messageData.receiverId;
 
@@ -99,35 +174,63 @@ exports.onMessageCreate = onDocumentCreated({
     const apiKey = openaiApiKey.value();
     console.log('[onMessageCreate] API key retrieved from Secret Manager:', apiKey ? `${apiKey.substring(0, 20)}...` : 'N/A');
 
-    // 檢查訊息長度
+    // 檢查訊息長度（過長的訊息不自動翻譯，也不偵測語言與寫入 detectedLang）
     const translationService = getTranslationService(apiKey);
     if (!translationService.shouldAutoTranslate(text)) {
       console.log(`[onMessageCreate] Message too long (${text.length} chars), skipping auto-translate`);
       return null;
     }
 
-    // 獲取聊天室中兩個用戶的語言偏好
-    const targetLanguages = [];
+    // 偵測來源語言（客戶端已提供可解析的 detectedLang 時直接採用）
+    let sourceLang = messageData.detectedLang ? resolveLanguage(messageData.detectedLang, 'translate') : null;
+    if (!sourceLang) {
+      const detectionService = new LanguageDetectionService(apiKey);
+      const detection = await detectionService.detectLanguage(text);
+      const minConfidence = parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE || '0.6');
+
+      // 信心不足時退回訊息標記的語言
+      sourceLang = detection.lang !== 'und' && detection.confidence >= minConfidence
+        ? detection.lang
+        : normalizePreferredLang(messageData.lang);
+
+      await snapshot.ref.update({
+        detectedLang: sourceLang,
+        detectedLangConfidence: detection.confidence,
+      });
+
+      console.log(`[onMessageCreate] Detected source language: ${detection.lang} (${detection.confidence}), using ${sourceLang}`);
+    }
+
+    // 獲取聊天室所有成員的語言偏好（發送者除外），每個不同的語言只翻譯一次
+    const chatRoomService = new ChatRoomService();
+    const roomData = await chatRoomService.getRoom(roomId);
+    let targetLanguages = [];
+    let registers = {};
+    let viewerLangs = null;
 
     try {
-      // 讀取發送者和接收者的語言偏好
-      const [senderDoc, receiverDoc] = await Promise.all([
-        db.collection('users').doc(senderId).get(),
-        db.collection('users').doc(receiverId).get(),
-      ]);
+      const recipientIds = chatRoomService.getParticipants(roomData)
+        .map((participant) => participant.userId)
+        .filter((userId) => userId !== senderId);
+      // 相容舊訊息：receiverId 不在聊天室成員欄位中時仍翻譯給他
+      if (receiverId && receiverId !== senderId && !recipientIds.includes(receiverId)) {
+        recipientIds.push(receiverId);
+      }
 
-      const senderLang = senderDoc.exists ? (senderDoc.data().preferredLang || 'zh-TW') : 'zh-TW';
-      const receiverLang = receiverDoc.exists ? (receiverDoc.data().preferredLang || 'zh-TW') : 'zh-TW';
+      const preferences = await new UserPreferenceService().getPreferencesForUsers(recipientIds);
+      const displayService = new DisplayTranslationService();
 
-      console.log(`[onMessageCreate] Sender language: ${senderLang}, Receiver language: ${receiverLang}`);
+      // 每位成員應看到的語言（發送者看原文）
+      viewerLangs = displayService.buildViewerLangs(preferences, senderId, sourceLang);
 
-      // 只翻譯接收者的語言（如果與來源語言不同）
-      if (receiverLang !== sourceLang && !targetLanguages.includes(receiverLang)) {
-        targetLanguages.push(receiverLang);
-      }
+      // 依語言分組，收集同語言成員希望的語氣（不一致時使用預設語氣）
+      ({ targetLanguages, registers } = displayService.groupTargetLanguages(preferences, sourceLang));
 
-      // 可選：也翻譯成英文作為後備（如果兩個用戶都不是英文）
-      if (sourceLang !== 'en' && receiverLang !== 'en' && !targetLanguages.includes('en')) {
+      console.log(`[onMessageCreate] ${recipientIds.length} recipients, languages: ${[...preferences.values()].map((item) => item.preferredLang).join(', ') || 'none'}`);
+
+      // 可選：也翻譯成英文作為後備（有其他語言需要翻譯且來源不是英文時）
+      const englishFallback = process.env.AUTO_TRANSLATE_ENGLISH_FALLBACK !== 'false';
+      if (englishFallback && targetLanguages.length > 0 && sourceLang !== 'en' && !targetLanguages.includes('en')) {
         targetLanguages.push('en');
       }
     } catch (error) {
@@ -139,11 +242,18 @@ exports.onMessageCreate = onDocumentCreated({
     }
 
     if (targetLanguages.length === 0) {
-      console.log('[onMessageCreate] No translation needed (sender and receiver use same language)');
+      console.log(`[onMessageCreate] No translation needed (all recipients use ${sourceLang})`);
+      if (viewerLangs) {
+        await snapshot.ref.update({ viewerLangs });
+      }
       return null;
     }
 
-    console.log(`[onMessageCreate] Translating to: ${targetLanguages.join(', ')}`);
+    console.log(`[onMessageCreate] Translating to: ${targetLanguages.map((lang) => `${lang}(${registers[lang] || 'default'})`).join(', ')}`);
+
+    // 讀取對話上下文（短回覆如「ok, there」需要前文才能正確翻譯）
+    const context = await chatRoomService.getConversationContext(roomId, messageId, messageData, roomData);
+    console.log(`[onMessageCreate] Using ${context.length} previous messages as context`);
 
     // 批次翻譯
     const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TRANSLATIONS || '2');
@@ -151,28 +261,32 @@ exports.onMessageCreate = onDocumentCreated({
       text,
       sourceLang,
       targetLanguages,
-      maxConcurrent
+      maxConcurrent,
+      { roomId, context, registers }
     );
 
-    // 決定要顯示的翻譯文字（優先順序：en > ja > 第一個可用的翻譯）
-    let translatedText = null;
-    if (translations.en && translations.en.text) {
-      translatedText = translations.en.text;
-    } else if (translations.ja && translations.ja.text) {
-      translatedText = translations.ja.text;
-    } else {
-      // 使用第一個可用的翻譯
-      const firstLang = Object.keys(translations)[0];
-      if (firstLang && translations[firstLang].text) {
-        translatedText = translations[firstLang].text;
-      }
-    }
+    // 舊版客戶端使用的 translatedText；新版客戶端依 viewerLangs 顯示各自語言的譯文
+    const translatedText = new DisplayTranslationService().pickLegacyTranslatedText(translations);
 
     // 寫回 Firestore
-    await snapshot.ref.update({
+    const messageUpdates = {
       translations,
-      translatedText, // 設置 translatedText 欄位供 Flutter App 使用
+      translatedText, // 設置 translatedText 欄位供舊版 Flutter App 使用
       translatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (viewerLangs) {
+      messageUpdates.viewerLangs = viewerLangs;
+    }
+    await snapshot.ref.update(messageUpdates);
+
+    // 記錄用量（自動翻譯由發送者的訊息觸發）
+    const tokensUsed = Object.values(translations).reduce((sum, translation) => sum + (translation.tokensUsed || 0), 0);
+    await new UsageService().record({
+      userId: senderId,
+      feature: 'autoTranslate',
+      tokensUsed,
+      model: translationService.model,
+      roomId,
     });
 
     console.log(`[onMessageCreate] Successfully translated to ${Object.keys(translations).length} languages`);
@@ -213,15 +327,18 @@ exports.onMessageCreate = onDocumentCreated({
  * {
  *   "roomId": "string",
  *   "messageId": "string",
- *   "targetLang": "string"
+ *   "targetLang": "string",
+ *   "register": "casual | polite | honorific"（可選，預設讀取接收者 users/{uid}.translationRegister）
  * }
  *
  * 回應：
  * {
  *   "success": true,
+ *   "targetLang": "string"（正規化後的語言代碼，例如 zh_TW → zh-TW）,
  *   "translation": {
  *     "text": "string",
  *     "model": "string",
+ *     "register": "string | null",
  *     "at": "timestamp"
  *   }
  * }
@@ -259,10 +376,15 @@ exports.translateMessage = onRequest({
       const userId = decodedToken.uid;
       console.log(`[translateMessage] Request from user: ${userId}`);
 
+      // 限流
+      if (!(await enforceRateLimit(req, res, 'translateMessage', decodedToken))) {
+        return;
+      }
+
       // 解析請求體
-      const { roomId, messageId, targetLang } = req.body;
+      const { roomId, messageId } = req.body;
 
-      if (!roomId || !messageId || !targetLang) {
+      if (!roomId || !messageId || !req.body.targetLang) {
         res.status(400).json({
           success: false,
           error: 'Missing required fields: roomId, messageId, targetLang',
@@ -270,6 +392,24 @@ exports.translateMessage = onRequest({
         return;
       }
 
+      // 正規化語言標籤（zh_TW、zh-Hant 等都解析為 zh-TW）
+      const targetLang = resolveLanguage(req.body.targetLang, 'translate');
+      if (!targetLang) {
+        res.status(400).json({
+          success: false,
+          error: `Unsupported target language: ${req.body.targetLang}`,
+        });
+        return;
+      }
+
+      if (req.body.register && !TRANSLATION_REGISTERS.includes(req.body.register)) {
+        res.status(400).json({
+          success: false,
+          error: `Unsupported register. Supported: ${TRANSLATION_REGISTERS.join(', ')}`,
+        });
+        return;
+      }
+
       // 查詢訊息
       const messageRef = db.collection('chat_rooms').doc(roomId).collection('messages').doc(messageId);
       const messageDoc = await messageRef.get();
@@ -291,17 +431,25 @@ exports.translateMessage = onRequest({
       }
 
       const roomData = roomDoc.data();
-      if (roomData.customerId !== userId && roomData.driverId !== userId) {
+      const chatRoomService = new ChatRoomService();
+      if (!chatRoomService.isRoomMember(roomData, userId)) {
         res.status(403).json({ success: false, error: 'Forbidden: Not a member of this chat room' });
         return;
       }
 
-      // 檢查是否已有該語言的翻譯
-      if (messageData.translations && messageData.translations[targetLang]) {
+      // 決定語氣：未指定時使用接收者的偏好
+      const register = req.body.register
+        || await new UserPreferenceService().getRegister(messageData.receiverId || userId);
+
+      // 檢查是否已有該語言、該語氣的翻譯
+      const existing = messageData.translations && messageData.translations[targetLang];
+      if (existing && (existing.register || null) === register) {
         console.log(`[translateMessage] Translation already exists for ${targetLang}`);
+        await new UsageService().record({ userId, feature: 'translateMessage', cached: true, roomId });
         res.status(200).json({
           success: true,
           translation: messageData.translations[targetLang],
+          targetLang,
           cached: true,
         });
         return;
@@ -309,13 +457,17 @@ exports.translateMessage = onRequest({
 
       // 執行翻譯
       const text = messageData.messageText;
-      const sourceLang = messageData.lang || 'zh-TW';
+      const sourceLang = resolveLanguage(messageData.detectedLang, 'translate')
+        || normalizePreferredLang(messageData.lang);
 
       // 獲取 OpenAI API 金鑰（從 Secret Manager）
       const apiKey = openaiApiKey.value();
 
+      // 讀取對話上下文
+      const context = await chatRoomService.getConversationContext(roomId, messageId, messageData, roomData);
+
       const translationService = getTranslationService(apiKey);
-      const translation = await translationService.translate(text, sourceLang, targetLang);
+      const translation = await translationService.translate(text, sourceLang, targetLang, { roomId, context, register });
 
       if (!translation) {
         res.status(400).json({
@@ -343,12 +495,24 @@ exports.translateMessage = onRequest({
       // 寫回 Firestore
       await messageRef.update(updateData);
 
+      // 記錄用量
+      await new UsageService().record({
+        userId,
+        feature: 'translateMessage',
+        cached: translation.cached,
+        tokensUsed: translation.tokensUsed,
+        provider: translation.provider,
+        model: translation.model,
+        roomId,
+      });
+
       console.log(`[translateMessage] Successfully translated message ${messageId} to ${targetLang}`);
 
       res.status(200).json({
         success: true,
         translation,
-        cached: false,
+        targetLang,
+        cached: translation.cached,
       });
 
     } catch (error) {
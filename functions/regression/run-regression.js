@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * 離線翻譯回歸測試
+ *
+ * 以錄製好的模型回應（recordings.json）取代真實 OpenAI，搭配 Firestore 模擬器，
+ * 讓 prompt、詞彙表、受保護片段等改動可以在本機驗證，不需呼叫已部署的 Function 或 OpenAI。
+ *
+ * 受保護片段案例（golden-cases.json 的 protectedSpans）：
+ * - 只檢查 protectSpans 的結果（expected 為替換佔位符後的文字），不呼叫 provider
+ *
+ * 測試案例（golden-cases.json 的 cases）：
+ * - expected / alternativeExpected：符合其一即通過
+ * - forbidden：出現即失敗（常見的直譯結果）
+ * - match：'exact'（預設，完全相同）或 'contains'（包含即可）
+ * - register：語氣（casual / polite / honorific）
+ * - 兩者皆不符合時標記為警告（需人工判斷），--strict 時視為失敗
+ *
+ * 預熱短句案例（golden-cases.json 的 warmPhrases）：
+ * - 以 CacheWarmupService 預熱後，依 onMessageCreate 的方式（translateBatch + 聊天室、對話上下文、語氣）翻譯
+ * - 必須全部命中快取、不呼叫 provider；使用固定輸出的檢查用 provider，不需要錄製
+ *
+ * 錄製（recordings.json）必須由 --record 以真實 OpenAI 回應產生，每筆記錄 promptVersion 與完整請求訊息的 hash；
+ * prompt、上下文或詞彙指示改變後，回放會以「stale recording, re-record」失敗
+ *
+ * 用法：
+ *   npm run regression                                     # 透過 firebase emulators:exec 啟動 Firestore 模擬器並執行
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node regression/run-regression.js [--strict] [--filter=ja]
+ *   OPENAI_API_KEY=... npm run regression:record           # 以真實 OpenAI 回應更新 recordings.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+const CASES_PATH = path.join(__dirname, 'golden-cases.json');
+const RECORDINGS_PATH = path.join(__dirname, 'recordings.json');
+
+const args = process.argv.slice(2);
+const recordMode = args.includes('--record');
+const strictMode = args.includes('--strict');
+const filterArg = args.find((arg) => arg.startsWith('--filter='));
+const filter = filterArg ? filterArg.split('=')[1] : null;
+
+// 只允許在模擬器中執行，避免清空正式環境的快取與詞彙表
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error('❌ 錯誤：FIRESTORE_EMULATOR_HOST 未設定，回歸測試只能在 Firestore 模擬器中執行');
+  console.log('請使用：npm run regression');
+  process.exit(1);
+}
+
+const projectId = process.env.GCLOUD_PROJECT || 'demo-translation-regression';
+admin.initializeApp({ projectId });
+
+const { TranslationService } = require('../src/services/translationService');
+const TranslationCacheService = require('../src/services/translationCacheService');
+const { GlossaryService } = require('../src/services/glossaryService');
+const { RecordedProvider } = require('../src/services/providers/recordedProvider');
+const { OpenAIProvider } = require('../src/services/providers/openaiProvider');
+const { CacheWarmupService } = require('../src/services/cacheWarmupService');
+const { protectSpans } = require('../src/utils/protectedSpans');
+
+/**
+ * 清空模擬器中的所有文件（每次執行都從乾淨的狀態開始）
+ */
+async function resetEmulator() {
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Failed to reset Firestore emulator: HTTP ${response.status}`);
+  }
+}
+
+/**
+ * 比對譯文與候選結果
+ * @param {string} output - 實際譯文
+ * @param {string|string[]|undefined} candidates - 候選結果
+ * @param {string} mode - 'exact' | 'contains'
+ * @returns {boolean}
+ */
+function matchesAny(output, candidates, mode) {
+  const list = [].concat(candidates || []).filter(Boolean);
+  return list.some((candidate) => (mode === 'contains'
+    ? output.includes(candidate)
+    : output.trim() === candidate.trim()));
+}
+
+/**
+ * 執行單一測試案例（流程與 translate 端點相同：詞彙表 → 翻譯（含快取））
+ * @returns {Promise<{status: string, output: string|null, message: string}>}
+ */
+async function runCase(testCase, translationService, cacheService) {
+  const mode = testCase.match || 'exact';
+  const register = testCase.register || null;
+
+  const glossary = await translationService.loadGlossary(testCase.text, testCase.targetLang);
+  const translation = await translationService.translate(
+    testCase.text,
+    testCase.sourceLang,
+    testCase.targetLang,
+    { glossary, register }
+  );
+  const output = translation ? translation.text : testCase.text;
+
+  // 驗證 translate 已寫入快取：清空記憶體層後從 Firestore 層讀回（含模型、prompt 版本、詞彙 / 語氣）
+  const keyOptions = translationService.getCacheKeyOptions(testCase.sourceLang, { glossary, register });
+  cacheService.memory.clear();
+  const cached = await cacheService.getEntry(testCase.text, testCase.targetLang, keyOptions);
+  if (translation && (!cached || cached.translatedText !== output)) {
+    return { status: 'fail', output, message: `快取讀回結果不一致："${cached ? cached.translatedText : null}"` };
+  }
+
+  if (matchesAny(output, testCase.forbidden, mode)) {
+    return { status: 'fail', output, message: '出現禁止的譯法' };
+  }
+  if (matchesAny(output, [testCase.expected, testCase.alternativeExpected], mode)) {
+    return { status: 'pass', output, message: '符合預期' };
+  }
+  return {
+    status: strictMode ? 'fail' : 'warn',
+    output,
+    message: '與預期不同，但不是禁止的譯法（需要人工判斷）',
+  };
+}
+
+/**
+ * 執行受保護片段案例（一般文字不應被凍結，電話 / 航班等仍須受保護）
+ * @returns {{status: string, output: string, message: string}}
+ */
+function runSpanCase(spanCase) {
+  const output = protectSpans(spanCase.text).text;
+  return output === spanCase.expected
+    ? { status: 'pass', output, message: '符合預期' }
+    : { status: 'fail', output, message: `預期 "${spanCase.expected}"` };
+}
+
+/**
+ * 執行預熱短句案例：預熱後以 onMessageCreate 的參數翻譯，必須命中預熱寫入的快取
+ * 使用固定輸出的檢查用 provider（只驗證快取鍵，不驗證譯文品質）
+ * @returns {Promise<{phraseCase: Object, status: string, message: string}[]>}
+ */
+async function runWarmPhraseCases(warmPhrases) {
+  const checkProvider = {
+    name: 'warm-check',
+    model: 'warm-check',
+    promptVersion: 'warm-check',
+    calls: 0,
+    async translate(text, sourceLang, targetLang) {
+      this.calls++;
+      return { text: `[${targetLang}] ${text}`, model: this.model, tokensUsed: 0, duration: 0 };
+    },
+  };
+  const translationService = new TranslationService(null, {
+    providers: [checkProvider],
+    cacheService: new TranslationCacheService(),
+  });
+
+  for (const [index, phraseCase] of warmPhrases.entries()) {
+    await admin.firestore().collection('warm_phrases').doc(`regression-${index}`).set({
+      text: phraseCase.text,
+      sourceLang: phraseCase.sourceLang,
+      registers: phraseCase.register ? [phraseCase.register] : [],
+    });
+  }
+  await new CacheWarmupService(translationService).run({ force: true });
+  translationService.getCacheService().memory.clear();
+
+  const results = [];
+  for (const phraseCase of warmPhrases) {
+    checkProvider.calls = 0;
+    try {
+      // 與 onMessageCreate 相同：帶聊天室、對話上下文與各語言的語氣
+      const translations = await translationService.translateBatch(
+        phraseCase.text,
+        phraseCase.sourceLang,
+        [phraseCase.targetLang],
+        2,
+        {
+          roomId: 'regression-room',
+          context: phraseCase.context || [],
+          registers: { [phraseCase.targetLang]: phraseCase.register || null },
+        }
+      );
+      const translation = translations[phraseCase.targetLang];
+      const hit = translation && translation.cached === true && checkProvider.calls === 0;
+      results.push({
+        phraseCase,
+        status: hit ? 'pass' : 'fail',
+        message: hit ? '命中快取' : `未命中快取（provider 呼叫 ${checkProvider.calls} 次）`,
+      });
+    } catch (error) {
+      results.push({ phraseCase, status: 'fail', message: error.message });
+    }
+  }
+  return results;
+}
+
+async function main() {
+  const { glossary = [], protectedSpans = [], warmPhrases = [], cases } = JSON.parse(fs.readFileSync(CASES_PATH, 'utf8'));
+  const recordings = fs.existsSync(RECORDINGS_PATH) ? JSON.parse(fs.readFileSync(RECORDINGS_PATH, 'utf8')) : [];
+
+  let upstream = null;
+  if (recordMode) {
+    if (!process.env.OPENAI_API_KEY) {
+      console.error('❌ 錯誤：錄製模式需要 OPENAI_API_KEY 環境變數');
+      process.exit(1);
+    }
+    upstream = new OpenAIProvider(process.env.OPENAI_API_KEY);
+  }
+
+  const selected = filter
+    ? cases.filter((testCase) => testCase.targetLang === filter || testCase.sourceLang === filter || testCase.name.includes(filter))
+    : cases;
+
+  console.log(`🧪 翻譯回歸測試（${recordMode ? '錄製模式：呼叫 OpenAI' : '回放模式：使用錄製回應'}）`);
+  console.log(`📍 Firestore 模擬器：${process.env.FIRESTORE_EMULATOR_HOST}（project: ${projectId}）`);
+  console.log('='.repeat(80));
+
+  // 準備模擬器資料：清空後寫入案例用的全域詞彙
+  await resetEmulator();
+  const glossaryService = new GlossaryService();
+  for (const term of glossary) {
+    await glossaryService.createTerm(null, term, 'regression');
+  }
+
+  // 回放模式也以目前的 OpenAI prompt 計算請求 hash（不送出請求），prompt 改變時錄製會被判定為過期
+  const promptBuilder = upstream || new OpenAIProvider(process.env.OPENAI_API_KEY || 'replay-only');
+  const provider = new RecordedProvider({ recordings, upstream, promptBuilder });
+  const cacheService = new TranslationCacheService();
+  const translationService = new TranslationService(null, { providers: [provider], cacheService });
+
+  const spanResults = protectedSpans.map((spanCase) => ({ spanCase, ...runSpanCase(spanCase) }));
+  if (spanResults.length > 0) {
+    console.log('\n🛡️  受保護片段:');
+    for (const { spanCase, status, output, message } of spanResults) {
+      console.log(`   ${status === 'pass' ? '✅' : '❌'} ${spanCase.name}: "${output}"${status === 'pass' ? '' : `（${message}）`}`);
+    }
+  }
+
+  const warmResults = await runWarmPhraseCases(warmPhrases);
+  if (warmResults.length > 0) {
+    console.log('\n🔥 預熱短句:');
+    for (const { phraseCase, status, message } of warmResults) {
+      console.log(`   ${status === 'pass' ? '✅' : '❌'} ${phraseCase.name} [${phraseCase.sourceLang} → ${phraseCase.targetLang}]: ${message}`);
+    }
+  }
+
+  const results = [];
+  for (const testCase of selected) {
+    let result;
+    try {
+      result = await runCase(testCase, translationService, cacheService);
+    } catch (error) {
+      result = { status: 'fail', output: null, message: error.message };
+    }
+    results.push({ testCase, ...result });
+
+    const icon = { pass: '✅', warn: '⚠️ ', fail: '❌' }[result.status];
+    const registerLabel = testCase.register ? `, ${testCase.register}` : '';
+    console.log(`\n${icon} ${testCase.name} [${testCase.sourceLang} → ${testCase.targetLang}${registerLabel}]`);
+    console.log(`   原文: "${testCase.text}"`);
+    console.log(`   譯文: ${result.output === null ? '（無）' : `"${result.output}"`}`);
+    console.log(`   ${result.message}`);
+  }
+
+  // 依語言組合統計
+  const pairs = new Map();
+  for (const { testCase, status } of results) {
+    const pair = `${testCase.sourceLang} → ${testCase.targetLang}`;
+    if (!pairs.has(pair)) {
+      pairs.set(pair, { pass: 0, warn: 0, fail: 0 });
+    }
+    pairs.get(pair)[status]++;
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+
+  console.log('\n' + '='.repeat(80));
+  console.log('\n📊 語言組合統計:');
+  for (const [pair, stats] of pairs) {
+    console.log(`   ${pair.padEnd(16)} ✅ ${stats.pass}  ⚠️  ${stats.warn}  ❌ ${stats.fail}`);
+  }
+  console.log('\n📊 測試結果總結:');
+  console.log(`   ✅ 通過: ${count('pass')}/${results.length}`);
+  console.log(`   ⚠️  警告: ${count('warn')}/${results.length}`);
+  console.log(`   ❌ 失敗: ${count('fail')}/${results.length}`);
+  const spanFailures = spanResults.filter((result) => result.status === 'fail').length;
+  console.log(`   🛡️  受保護片段: ${spanResults.length - spanFailures}/${spanResults.length} 通過`);
+  const warmFailures = warmResults.filter((result) => result.status === 'fail').length;
+  console.log(`   🔥 預熱短句: ${warmResults.length - warmFailures}/${warmResults.length} 命中快取`);
+
+  if (recordMode) {
+    fs.writeFileSync(RECORDINGS_PATH, JSON.stringify(recordings, null, 2) + '\n');
+    console.log(`\n💾 已更新錄製檔：${path.relative(process.cwd(), RECORDINGS_PATH)}（${recordings.length} 筆）`);
+  }
+
+  return count('fail') === 0 && spanFailures === 0 && warmFailures === 0;
+}
+
+main()
+  .then((passed) => process.exit(passed ? 0 : 1))
+  .catch((error) => {
+    console.error('❌ 回歸測試執行失敗:', error);
+    process.exit(1);
+  });
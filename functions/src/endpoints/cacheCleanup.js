@@ -0,0 +1,34 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const TranslationCacheService = require('../services/translationCacheService');
+
+// 單次執行最多掃描的文件數（剩餘的留給下一次執行）
+const MAX_CLEANUP_DOCS = parseInt(process.env.TRANSLATION_CACHE_CLEANUP_MAX_DOCS || '20000');
+
+/**
+ * 翻譯快取過期清理（排程）
+ *
+ * 預設每天凌晨 3 點（台北時間）執行，可用 TRANSLATION_CACHE_CLEANUP_SCHEDULE 覆寫
+ * 過期與熱門項目保留政策見 TranslationCacheService
+ * 每次執行的摘要寫入 translation_cache_cleanup_runs
+ */
+exports.cleanupTranslationCache = onSchedule(
+  {
+    schedule: process.env.TRANSLATION_CACHE_CLEANUP_SCHEDULE || 'every day 03:00',
+    timeZone: 'Asia/Taipei',
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+    memory: '256MiB',
+  },
+  async () => {
+    const summary = await new TranslationCacheService().cleanupExpiredCache({
+      maxDocs: MAX_CLEANUP_DOCS,
+      trigger: 'schedule',
+    });
+
+    console.log(`[CacheCleanup] Scanned ${summary.scanned}, deleted ${summary.deleted}, retained ${summary.retained} hot entries${summary.truncated ? ' (truncated, will continue next run)' : ''}`);
+
+    if (summary.error) {
+      throw new Error(`Translation cache cleanup failed: ${summary.error}`);
+    }
+  }
+);
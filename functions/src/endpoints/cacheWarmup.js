@@ -0,0 +1,30 @@
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineSecret } = require('firebase-functions/params');
+const { TranslationService } = require('../services/translationService');
+const { CacheWarmupService } = require('../services/cacheWarmupService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 常用短句快取預熱（排程）
+ *
+ * 預設每天凌晨 4 點（台北時間，快取清理之後）執行，可用 TRANSLATION_WARMUP_SCHEDULE 覆寫
+ * 只重新翻譯快取不存在或即將過期的組合，詳見 CacheWarmupService
+ */
+exports.prewarmTranslationCache = onSchedule(
+  {
+    schedule: process.env.TRANSLATION_WARMUP_SCHEDULE || 'every day 04:00',
+    timeZone: 'Asia/Taipei',
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+    memory: '256MiB',
+  },
+  async () => {
+    const translationService = new TranslationService(openaiApiKey.value());
+    const summary = await new CacheWarmupService(translationService).run();
+
+    console.log(`[CacheWarmup] ${summary.phrases} phrases, ${summary.pairs} pairs: ${summary.fresh} fresh, ${summary.refreshed} refreshed, ${summary.failed} failed, ${summary.skipped} deferred to next run`);
+  }
+);
@@ -0,0 +1,126 @@
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { FieldValue } = require('firebase-admin/firestore');
+const { TranslationService } = require('../services/translationService');
+const { LanguageDetectionService } = require('../services/languageDetectionService');
+const { CustomerServiceChatService } = require('../services/customerServiceChatService');
+const { UsageService } = require('../services/usageService');
+const { resolveLanguage } = require('../utils/languages');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 客服對話自動翻譯觸發器
+ *
+ * 監聽路徑：customer_service_chats/{chatId}/messages/{messageId}
+ * 觸發時機：新訊息創建時
+ *
+ * 流程：
+ * 1. 讀取對話文件上的語言設定（customerLang / agentLang，未設定時補上預設值）
+ * 2. 偵測來源語言並寫回 detectedLang / detectedLangConfidence
+ * 3. 客戶的訊息翻譯成 agentLang，客服人員的回覆翻譯成 customerLang（使用客戶希望的語氣）
+ * 4. 寫回 translations.{lang}、translatedText 與 targetLang（對方應看到的語言）
+ * 5. 記錄用量（歸屬於發送者）
+ */
+exports.onCustomerServiceMessageCreate = onDocumentCreated({
+  document: 'customer_service_chats/{chatId}/messages/{messageId}',
+  region: 'asia-east1',
+  secrets: [openaiApiKey],
+}, async (event) => {
+  const snapshot = event.data;
+  if (!snapshot) {
+    return null;
+  }
+
+  const messageData = snapshot.data();
+  const { chatId, messageId } = event.params;
+  const text = messageData.messageText;
+
+  if (process.env.ENABLE_AUTO_TRANSLATE === 'false' || !text) {
+    return null;
+  }
+
+  // 檢查是否已有翻譯（冪等性）
+  if (messageData.translations && Object.keys(messageData.translations).length > 0) {
+    console.log('[onCustomerServiceMessageCreate] Translations already exist, skipping');
+    return null;
+  }
+
+  console.log(`[onCustomerServiceMessageCreate] New message created: ${messageId} in chat ${chatId}`);
+
+  try {
+    const apiKey = openaiApiKey.value();
+
+    // 過長的訊息不自動翻譯，也不偵測語言（避免為不翻譯的訊息呼叫偵測與寫入 detectedLang）
+    const translationService = new TranslationService(apiKey);
+    if (!translationService.shouldAutoTranslate(text)) {
+      console.log(`[onCustomerServiceMessageCreate] Message too long (${text.length} chars), skipping auto-translate`);
+      return null;
+    }
+
+    const chatService = new CustomerServiceChatService();
+    const settings = await chatService.getLanguageSettings(chatId);
+    const fromCustomer = messageData.senderId === settings.customerId;
+    const senderLang = fromCustomer ? settings.customerLang : settings.agentLang;
+    const targetLang = fromCustomer ? settings.agentLang : settings.customerLang;
+
+    // 偵測來源語言（客戶端已提供可解析的 detectedLang 時直接採用，信心不足時退回發送方的語言設定）
+    let sourceLang = messageData.detectedLang ? resolveLanguage(messageData.detectedLang, 'translate') : null;
+    if (!sourceLang) {
+      const detectionService = new LanguageDetectionService(apiKey);
+      const detection = await detectionService.detectLanguage(text);
+      sourceLang = detection.lang !== 'und' && detection.confidence >= detectionService.minConfidence
+        ? detection.lang
+        : senderLang;
+
+      await snapshot.ref.update({
+        detectedLang: sourceLang,
+        detectedLangConfidence: detection.confidence,
+      });
+    }
+
+    if (sourceLang === targetLang) {
+      console.log(`[onCustomerServiceMessageCreate] No translation needed (${sourceLang})`);
+      await snapshot.ref.update({ targetLang });
+      return null;
+    }
+
+    // 客服人員的回覆使用客戶希望的語氣
+    const context = await chatService.getConversationContext(chatId, messageId, messageData, settings.chatData);
+    const translation = await translationService.translate(text, sourceLang, targetLang, {
+      context,
+      register: fromCustomer ? null : settings.customerRegister,
+    });
+
+    await snapshot.ref.update({
+      translations: { [targetLang]: translation },
+      translatedText: translation.text,
+      targetLang,
+      translatedAt: FieldValue.serverTimestamp(),
+    });
+
+    await new UsageService().record({
+      userId: messageData.senderId,
+      feature: 'supportTranslate',
+      cached: !!translation.cached,
+      tokensUsed: translation.tokensUsed || 0,
+      model: translation.model,
+    });
+
+    console.log(`[onCustomerServiceMessageCreate] Translated ${fromCustomer ? 'customer message' : 'agent reply'} ${sourceLang} -> ${targetLang}`);
+    return null;
+
+  } catch (error) {
+    console.error('[onCustomerServiceMessageCreate] Error:', error);
+
+    // 不拋出錯誤，避免重試
+    await snapshot.ref.update({
+      translationError: {
+        message: error.message,
+        at: FieldValue.serverTimestamp(),
+      },
+    });
+    return null;
+  }
+});
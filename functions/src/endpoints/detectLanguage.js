@@ -0,0 +1,81 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const { verifyRequestToken } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { LanguageDetectionService } = require('../services/languageDetectionService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 語言偵測端點（HTTPS）
+ * 輸入：{ text }
+ * 輸出：{ detectedLang, confidence, method }
+ *
+ * 流程：
+ * 1. 驗證 Firebase Auth Token（可選，支援遊客模式）
+ * 2. 以本地規則偵測語言，信心不足時交由 OpenAI 判斷
+ * 3. 返回偵測結果（無法判斷時 detectedLang 為 'und'）
+ */
+exports.detectLanguage = onRequest(
+  {
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    maxInstances: 10, // 限制最大實例數，防止成本失控
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token（可選，支援遊客模式）
+      const decodedToken = await verifyRequestToken(req, '[DetectLanguage]');
+      const userId = decodedToken ? decodedToken.uid : 'guest';
+
+      // 限流（登入用戶依 uid，遊客依指紋，並限制同一 IP 的總量）
+      if (!(await enforceRateLimit(req, res, 'detectLanguage', decodedToken))) {
+        return;
+      }
+
+      // 2. 驗證請求參數
+      const { text } = req.body;
+
+      if (!text || typeof text !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "text" parameter' });
+        return;
+      }
+
+      // 3. 偵測語言
+      const detectionService = new LanguageDetectionService(openaiApiKey.value());
+      const detection = await detectionService.detectLanguage(text);
+
+      res.status(200).json({
+        detectedLang: detection.lang,
+        confidence: detection.confidence,
+        method: detection.method,
+        userId: userId,
+      });
+
+    } catch (error) {
+      console.error('Language detection error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
@@ -0,0 +1,137 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { verifyRequestToken, isAdminToken } = require('../utils/auth');
+const { GlossaryService } = require('../services/glossaryService');
+const { ChatRoomService } = require('../services/chatRoomService');
+
+/**
+ * 詞彙表管理端點（HTTPS）
+ *
+ * GET    ?roomId=          → 列出詞彙（省略 roomId 為全域詞彙；merged=true 回傳合併後結果）
+ * POST   { roomId?, term, aliases?, translations, caseSensitive? } → 新增詞彙
+ * PUT    { roomId?, termId, ...欄位 }                               → 更新詞彙
+ * DELETE { roomId?, termId }（或 query string）                     → 刪除詞彙
+ *
+ * translations 的語言代碼會正規化為語言註冊表的代碼（例如 zh_tw → zh-TW），不支援的代碼回傳 400
+ *
+ * 權限：
+ * - 全域詞彙：所有登入用戶可讀取，只有管理員（Custom Claims admin: true）可寫入
+ * - 聊天室詞彙：聊天室成員與管理員可讀寫
+ */
+exports.glossary = onRequest(
+  {
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[Glossary]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const params = req.method === 'GET' ? req.query : { ...req.query, ...req.body };
+      const roomId = params.roomId || null;
+
+      // 2. 權限檢查
+      if (roomId) {
+        const chatRoomService = new ChatRoomService();
+        const roomData = await chatRoomService.getRoom(roomId);
+        if (!roomData) {
+          res.status(404).json({ error: 'Chat room not found' });
+          return;
+        }
+        if (!chatRoomService.isRoomMember(roomData, userId) && !isAdminToken(decodedToken)) {
+          res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+          return;
+        }
+      } else if (req.method !== 'GET' && !isAdminToken(decodedToken)) {
+        res.status(403).json({ error: 'Forbidden: Only admins can modify the global glossary' });
+        return;
+      }
+
+      const glossaryService = new GlossaryService();
+
+      // 3. 依 HTTP 方法處理
+      if (req.method === 'GET') {
+        const terms = params.merged === 'true'
+          ? await glossaryService.getGlossary(roomId)
+          : await glossaryService.listTerms(roomId);
+        res.status(200).json({ roomId, terms });
+        return;
+      }
+
+      if (req.method === 'POST') {
+        const validationError = glossaryService.validateTerm(params);
+        if (validationError) {
+          res.status(400).json({ error: `Bad Request: ${validationError}` });
+          return;
+        }
+
+        const term = await glossaryService.createTerm(roomId, params, userId);
+        console.log(`[Glossary] Term "${term.term}" created by ${userId} (${roomId ? `room ${roomId}` : 'global'})`);
+        res.status(201).json({ roomId, term });
+        return;
+      }
+
+      const { termId } = params;
+      if (!termId || typeof termId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "termId" parameter' });
+        return;
+      }
+
+      if (req.method === 'PUT') {
+        const validationError = glossaryService.validateTerm(params, true);
+        if (validationError) {
+          res.status(400).json({ error: `Bad Request: ${validationError}` });
+          return;
+        }
+
+        const updated = await glossaryService.updateTerm(roomId, termId, params, userId);
+        if (!updated) {
+          res.status(404).json({ error: 'Glossary term not found' });
+          return;
+        }
+
+        console.log(`[Glossary] Term ${termId} updated by ${userId}`);
+        res.status(200).json({ roomId, termId, updated: true });
+        return;
+      }
+
+      const deleted = await glossaryService.deleteTerm(roomId, termId);
+      if (!deleted) {
+        res.status(404).json({ error: 'Glossary term not found' });
+        return;
+      }
+
+      console.log(`[Glossary] Term ${termId} deleted by ${userId}`);
+      res.status(200).json({ roomId, termId, deleted: true });
+
+    } catch (error) {
+      console.error('Glossary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
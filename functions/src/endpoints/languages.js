@@ -0,0 +1,49 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { listLanguages, LANGUAGE_CAPABILITIES } = require('../utils/languages');
+
+/**
+ * 語言列表端點（HTTPS，公開，不需登入）
+ *
+ * GET                        → 所有支援的語言
+ * GET ?capability=tts        → 只列出支援指定功能的語言（translate | stt | tts | detect）
+ *
+ * 輸出：{ languages: [{ code, name, nativeName, capabilities, whisperCode, ttsVoice }] }
+ * 資料來自 utils/languages，與各端點的語言驗證使用同一份註冊表
+ */
+exports.languages = onRequest(
+  {
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 10,
+    memory: '128MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    const { capability } = req.query;
+    if (capability !== undefined && !LANGUAGE_CAPABILITIES.includes(capability)) {
+      res.status(400).json({
+        error: 'Bad Request: Unsupported capability',
+        supportedCapabilities: LANGUAGE_CAPABILITIES,
+      });
+      return;
+    }
+
+    // 註冊表只在部署時改變，允許 CDN 與客戶端快取
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).json({ languages: listLanguages(capability) });
+  }
+);
@@ -0,0 +1,75 @@
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { FieldValue } = require('firebase-admin/firestore');
+const { RetranslationService } = require('../services/retranslationService');
+const { UsageService } = require('../services/usageService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 編輯訊息重新翻譯觸發器
+ *
+ * 監聽路徑：chat_rooms/{roomId}/messages/{messageId}
+ * 觸發時機：訊息更新且 messageText 改變時（翻譯、viewerLangs 等其他欄位的更新不處理）
+ *
+ * 流程：
+ * 1. 重新決定來源語言（客戶端同時更新 detectedLang 時直接採用，否則重新偵測）
+ * 2. 重新翻譯原本已有的語言與 viewerLangs 中成員需要的語言（沿用各語言原本的語氣）
+ * 3. 編輯前的原文與譯文移到 translationHistory（保留最近 TRANSLATION_HISTORY_LIMIT 筆）
+ * 4. 記錄用量（歸屬於發送者）
+ */
+exports.onMessageUpdate = onDocumentUpdated({
+  document: 'chat_rooms/{roomId}/messages/{messageId}',
+  region: 'asia-east1',
+  secrets: [openaiApiKey],
+}, async (event) => {
+  if (!event.data) {
+    return null;
+  }
+
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  const { roomId, messageId } = event.params;
+
+  // 本觸發器與 onMessageCreate 寫回譯文時也會觸發，只處理文字被編輯的情況
+  if (!after.messageText || after.messageText === before.messageText) {
+    return null;
+  }
+
+  if (process.env.ENABLE_AUTO_TRANSLATE === 'false') {
+    console.log('[onMessageUpdate] Auto-translate is disabled');
+    return null;
+  }
+
+  console.log(`[onMessageUpdate] Message ${messageId} in room ${roomId} was edited`);
+
+  try {
+    const retranslationService = new RetranslationService(openaiApiKey.value());
+    const result = await retranslationService.retranslateEditedMessage(event.data.after.ref, roomId, before, after);
+
+    await new UsageService().record({
+      userId: after.senderId,
+      feature: 'retranslate',
+      cached: result.tokensUsed === 0,
+      tokensUsed: result.tokensUsed,
+      model: retranslationService.translationService.model,
+      roomId,
+    });
+
+    console.log(`[onMessageUpdate] Re-translated ${messageId} from ${result.sourceLang} to ${result.languages.join(', ') || 'none'}`);
+    return null;
+
+  } catch (error) {
+    console.error('[onMessageUpdate] Error:', error);
+
+    // 不拋出錯誤，避免重試
+    await event.data.after.ref.update({
+      translationError: {
+        message: error.message,
+        at: FieldValue.serverTimestamp(),
+      },
+    });
+    return null;
+  }
+});
@@ -0,0 +1,77 @@
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { RetranslationService } = require('../services/retranslationService');
+const { TRANSLATION_REGISTERS, normalizePreferredLang } = require('../services/userPreferenceService');
+const { UsageService } = require('../services/usageService');
+const { resolveLanguage } = require('../utils/languages');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 偏好語言改變補翻觸發器
+ *
+ * 監聽路徑：users/{userId}
+ * 觸發時機：用戶的 preferredLang（正規化後）改變時
+ *
+ * 把該用戶最近活躍聊天室（RETRANSLATE_BACKFILL_HOURS 內有訊息，最多 RETRANSLATE_BACKFILL_MAX_ROOMS 個）
+ * 的近期訊息補翻成新語言，並把 viewerLangs.{uid} 改為新語言，讓成員切換語言後不用重新整理就能看到譯文。
+ * 更早的訊息由客戶端呼叫 resolveTranslations 按需翻譯。
+ *
+ * normalizeUserLanguage 把 zh_TW 改寫為 zh-TW 時也會觸發本函式，正規化後相同則不處理。
+ */
+exports.onPreferredLangChange = onDocumentUpdated({
+  document: 'users/{userId}',
+  region: 'asia-east1',
+  secrets: [openaiApiKey],
+  timeoutSeconds: 300,
+}, async (event) => {
+  if (!event.data) {
+    return null;
+  }
+
+  const { userId } = event.params;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+
+  // 無法解析的值交給 normalizeUserLanguage，不在這裡退回預設語言補翻
+  if (!resolveLanguage(after.preferredLang, 'translate')) {
+    return null;
+  }
+
+  const previousLang = normalizePreferredLang(before.preferredLang);
+  const lang = normalizePreferredLang(after.preferredLang);
+  if (lang === previousLang) {
+    return null;
+  }
+
+  if (process.env.ENABLE_AUTO_TRANSLATE === 'false') {
+    console.log('[onPreferredLangChange] Auto-translate is disabled');
+    return null;
+  }
+
+  console.log(`[onPreferredLangChange] User ${userId} changed preferredLang: ${previousLang} -> ${lang}`);
+
+  try {
+    const register = TRANSLATION_REGISTERS.includes(after.translationRegister) ? after.translationRegister : null;
+    const retranslationService = new RetranslationService(openaiApiKey.value());
+    const summary = await retranslationService.backfillUserLanguage(userId, lang, register);
+
+    if (summary.translated > 0 || summary.failed > 0) {
+      await new UsageService().record({
+        userId,
+        feature: 'retranslate',
+        tokensUsed: summary.tokensUsed,
+        model: retranslationService.translationService.model,
+      });
+    }
+
+    console.log(`[onPreferredLangChange] Backfilled ${lang} for ${userId}: ${summary.rooms} rooms, ${summary.messages} messages, ${summary.translated} translated, ${summary.skipped} skipped, ${summary.failed} failed`);
+    return null;
+
+  } catch (error) {
+    // 不拋出錯誤，避免重試（客戶端仍可透過 resolveTranslations 取得譯文）
+    console.error('[onPreferredLangChange] Error:', error);
+    return null;
+  }
+});
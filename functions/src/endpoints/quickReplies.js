@@ -0,0 +1,139 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { verifyRequestToken, isAdminToken } = require('../utils/auth');
+const { QuickReplyService } = require('../services/quickReplyService');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
+
+/**
+ * 快速回覆範本管理端點（HTTPS）
+ *
+ * GET                                                      → 列出可使用的範本（全域 + 自己的個人範本）
+ * POST   { scope?, text, sourceLang, category? }           → 新增範本
+ * PUT    { scope?, templateId, ...欄位 }                    → 更新範本
+ * DELETE { scope?, templateId }（或 query string）          → 刪除範本
+ *
+ * scope：'driver'（預設，自己的個人範本）或 'global'（全域範本，只有管理員可寫入）
+ * 範本文字可包含 {minutes}、{plate} 等變數，傳送時由 sendQuickReply 代入
+ */
+exports.quickReplies = onRequest(
+  {
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[QuickReplies]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const quickReplyService = new QuickReplyService();
+
+      if (req.method === 'GET') {
+        const templates = await quickReplyService.listTemplates(userId);
+        res.status(200).json({ templates });
+        return;
+      }
+
+      // 2. 權限檢查
+      const params = { ...req.query, ...req.body };
+      const scope = params.scope || 'driver';
+      if (scope !== 'driver' && scope !== 'global') {
+        res.status(400).json({ error: 'Bad Request: "scope" must be "driver" or "global"' });
+        return;
+      }
+      if (scope === 'global' && !isAdminToken(decodedToken)) {
+        res.status(403).json({ error: 'Forbidden: Only admins can modify global quick replies' });
+        return;
+      }
+
+      const driverId = scope === 'global' ? null : userId;
+      // 正規化語言標籤（zh_TW、zh-Hant 等都解析為 zh-TW）
+      if (params.sourceLang !== undefined) {
+        const sourceLang = resolveLanguage(params.sourceLang, 'translate');
+        if (!sourceLang) {
+          res.status(400).json({
+            error: 'Bad Request: Unsupported source language',
+            supportedLanguages: getSupportedCodes('translate'),
+          });
+          return;
+        }
+        params.sourceLang = sourceLang;
+      }
+
+      // 3. 依 HTTP 方法處理
+      if (req.method === 'POST') {
+        const validationError = quickReplyService.validateTemplate(params);
+        if (validationError) {
+          res.status(400).json({ error: `Bad Request: ${validationError}` });
+          return;
+        }
+
+        const template = await quickReplyService.createTemplate(driverId, params, userId);
+        console.log(`[QuickReplies] Template ${template.id} created by ${userId} (${scope})`);
+        res.status(201).json({ template });
+        return;
+      }
+
+      const { templateId } = params;
+      if (!templateId || typeof templateId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "templateId" parameter' });
+        return;
+      }
+
+      if (req.method === 'PUT') {
+        const validationError = quickReplyService.validateTemplate(params, true);
+        if (validationError) {
+          res.status(400).json({ error: `Bad Request: ${validationError}` });
+          return;
+        }
+
+        const updated = await quickReplyService.updateTemplate(driverId, templateId, params, userId);
+        if (!updated) {
+          res.status(404).json({ error: 'Quick reply template not found' });
+          return;
+        }
+
+        console.log(`[QuickReplies] Template ${templateId} updated by ${userId}`);
+        // sourceLang 只在有更新時回傳（正規化後的語言代碼）
+        res.status(200).json({ scope, templateId, updated: true, sourceLang: params.sourceLang });
+        return;
+      }
+
+      const deleted = await quickReplyService.deleteTemplate(driverId, templateId);
+      if (!deleted) {
+        res.status(404).json({ error: 'Quick reply template not found' });
+        return;
+      }
+
+      console.log(`[QuickReplies] Template ${templateId} deleted by ${userId}`);
+      res.status(200).json({ scope, templateId, deleted: true });
+
+    } catch (error) {
+      console.error('Quick replies error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
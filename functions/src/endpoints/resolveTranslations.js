@@ -0,0 +1,205 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { verifyRequestToken } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { TranslationService } = require('../services/translationService');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { UserPreferenceService } = require('../services/userPreferenceService');
+const { DisplayTranslationService } = require('../services/displayTranslationService');
+const { UsageService } = require('../services/usageService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+// 單次請求最多解析的訊息數
+const MAX_RESOLVE_MESSAGES = parseInt(process.env.MAX_RESOLVE_MESSAGES || '50');
+
+/**
+ * 顯示翻譯解析端點（HTTPS）
+ * 輸入：{ roomId, messageIds: string[] }
+ * 輸出：{ lang, register, messages: [{ messageId, lang, text, original, translation }], stats }
+ *
+ * 依請求者的 preferredLang 決定每則訊息應顯示的文字：
+ * - 來源語言與偏好語言相同 → 原文（original: true）
+ * - 已有 translations.{lang} → 直接使用
+ * - 否則即時翻譯並寫回 translations.{lang}
+ * 同時把 viewerLangs.{uid} 寫回訊息，客戶端之後可直接從 Firestore 讀取
+ */
+exports.resolveTranslations = onRequest(
+  {
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 120,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[ResolveTranslations]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      if (!await enforceRateLimit(req, res, 'resolveTranslations', decodedToken)) {
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const { roomId, messageIds } = req.body;
+
+      // 2. 驗證請求參數
+      if (!roomId || typeof roomId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "roomId" parameter' });
+        return;
+      }
+      if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.some((id) => !id || typeof id !== 'string')) {
+        res.status(400).json({ error: 'Bad Request: "messageIds" must be a non-empty array of strings' });
+        return;
+      }
+      if (messageIds.length > MAX_RESOLVE_MESSAGES) {
+        res.status(400).json({ error: `Bad Request: At most ${MAX_RESOLVE_MESSAGES} messages per request` });
+        return;
+      }
+
+      const chatRoomService = new ChatRoomService();
+      const roomData = await chatRoomService.getRoom(roomId);
+      if (!roomData) {
+        res.status(404).json({ error: 'Chat room not found' });
+        return;
+      }
+      if (!chatRoomService.isRoomMember(roomData, userId)) {
+        res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+        return;
+      }
+
+      // 3. 讀取請求者的偏好與訊息
+      const { preferredLang: lang, translationRegister: register } = await new UserPreferenceService().getPreferences(userId);
+
+      const db = getFirestore();
+      const ids = [...new Set(messageIds)];
+      const refs = ids.map((id) => db.collection('chat_rooms').doc(roomId).collection('messages').doc(id));
+      const docs = await db.getAll(...refs);
+
+      const displayService = new DisplayTranslationService();
+      const stats = { total: ids.length, original: 0, stored: 0, translated: 0, failed: 0, missing: 0 };
+      const results = [];
+      const pending = [];
+
+      docs.forEach((doc) => {
+        if (!doc.exists) {
+          stats.missing++;
+          results.push({ messageId: doc.id, error: 'Message not found' });
+          return;
+        }
+
+        const messageData = doc.data();
+        const resolved = displayService.resolveForViewer(messageData, lang);
+        const result = { messageId: doc.id, ...(resolved || {}) };
+        results.push(result);
+
+        if (resolved) {
+          stats[resolved.original ? 'original' : 'stored']++;
+        } else {
+          pending.push({ messageData, result });
+        }
+      });
+
+      // 4. 即時翻譯尚無譯文的訊息
+      let tokensUsed = 0;
+      if (pending.length > 0) {
+        const translationService = new TranslationService(openaiApiKey.value());
+        const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TRANSLATIONS || '2');
+        const outcomes = await translationService.translateJobs(pending.map(({ messageData }) => ({
+          text: messageData.messageText,
+          sourceLang: displayService.getSourceLang(messageData) || 'auto',
+          targetLang: lang,
+          options: { roomId, register },
+        })), maxConcurrent);
+
+        outcomes.forEach((outcome, index) => {
+          const { result, messageData } = pending[index];
+          if (outcome.error || !outcome.result) {
+            stats.failed++;
+            Object.assign(result, {
+              lang: null,
+              text: messageData.messageText,
+              original: true,
+              translation: null,
+              error: outcome.error ? outcome.error.message : 'Translation unavailable',
+            });
+            return;
+          }
+
+          stats.translated++;
+          tokensUsed += outcome.result.tokensUsed || 0;
+          Object.assign(result, { lang, text: outcome.result.text, original: false, translation: outcome.result });
+        });
+      }
+
+      // 5. 寫回譯文與 viewerLangs.{uid}
+      const batch = db.batch();
+      let writes = 0;
+      docs.forEach((doc, index) => {
+        if (!doc.exists) {
+          return;
+        }
+
+        const messageData = doc.data();
+        const result = results[index];
+        const updates = {};
+        if (result.translation && !(messageData.translations && messageData.translations[lang])) {
+          updates[`translations.${lang}`] = result.translation;
+          updates.translatedAt = FieldValue.serverTimestamp();
+        }
+        if (result.lang && (!messageData.viewerLangs || messageData.viewerLangs[userId] !== lang)) {
+          updates[`viewerLangs.${userId}`] = lang;
+        }
+        if (Object.keys(updates).length > 0) {
+          batch.update(doc.ref, updates);
+          writes++;
+        }
+      });
+      if (writes > 0) {
+        await batch.commit();
+      }
+
+      // 6. 記錄用量
+      await new UsageService().record({
+        userId,
+        feature: 'resolveTranslations',
+        cached: stats.translated === 0,
+        tokensUsed,
+        roomId,
+      });
+
+      console.log(`[ResolveTranslations] ${ids.length} messages for ${userId} in room ${roomId} (${lang}): ${stats.original} original, ${stats.stored} stored, ${stats.translated} translated, ${stats.failed} failed`);
+
+      res.status(200).json({ lang, register, messages: results, stats });
+
+    } catch (error) {
+      console.error('Resolve translations error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
@@ -0,0 +1,195 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const admin = require('firebase-admin');
+const { verifyRequestToken } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { TranslationService } = require('../services/translationService');
+const { QuickReplyService } = require('../services/quickReplyService');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { UserPreferenceService } = require('../services/userPreferenceService');
+const { DisplayTranslationService } = require('../services/displayTranslationService');
+const { UsageService } = require('../services/usageService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+/**
+ * 傳送快速回覆端點（HTTPS）
+ * 輸入：{ roomId, templateId, scope?: 'driver' | 'global', variables?: { minutes, plate, ... }, senderName? }
+ * 輸出：{ messageId, messageText, translatedText, targetLang, translation, translations }
+ * （targetLang / translation 為乘客的語言與譯文，translations 為所有成員需要的語言）
+ *
+ * 流程：
+ * 1. 驗證 Firebase Auth Token（只有聊天室的司機可以傳送）
+ * 2. 讀取範本並代入變數
+ * 3. 依聊天室所有成員（乘客、調度員、客服等）的 preferredLang 與 translationRegister 翻譯（經過翻譯快取）
+ * 4. 寫入 chat_rooms/{roomId}/messages，translations 與 viewerLangs 已預先填入，onMessageCreate 不會再翻譯
+ * 5. 記錄用量並返回結果
+ */
+exports.sendQuickReply = onRequest(
+  {
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 60,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[QuickReply]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      if (!await enforceRateLimit(req, res, 'sendQuickReply', decodedToken)) {
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const { roomId, templateId, variables = {}, senderName } = req.body;
+      const scope = req.body.scope || 'driver';
+
+      // 2. 驗證請求參數
+      if (!roomId || typeof roomId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "roomId" parameter' });
+        return;
+      }
+      if (!templateId || typeof templateId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "templateId" parameter' });
+        return;
+      }
+      if (scope !== 'driver' && scope !== 'global') {
+        res.status(400).json({ error: 'Bad Request: "scope" must be "driver" or "global"' });
+        return;
+      }
+      if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        res.status(400).json({ error: 'Bad Request: "variables" must be an object' });
+        return;
+      }
+
+      const chatRoomService = new ChatRoomService();
+      const roomData = await chatRoomService.getRoom(roomId);
+      if (!roomData) {
+        res.status(404).json({ error: 'Chat room not found' });
+        return;
+      }
+      if (roomData.driverId !== userId) {
+        res.status(403).json({ error: 'Forbidden: Only the driver of this chat room can send quick replies' });
+        return;
+      }
+
+      // 3. 讀取範本並代入變數
+      const quickReplyService = new QuickReplyService();
+      const template = await quickReplyService.getTemplate(scope === 'global' ? null : userId, templateId);
+      if (!template) {
+        res.status(404).json({ error: 'Quick reply template not found' });
+        return;
+      }
+
+      const rendered = quickReplyService.render(template.text, variables);
+      if (rendered.missing.length > 0 || rendered.invalid.length > 0) {
+        res.status(400).json({
+          error: 'Bad Request: Missing or invalid template variables',
+          missing: rendered.missing,
+          invalid: rendered.invalid,
+        });
+        return;
+      }
+
+      // 4. 翻譯成聊天室所有成員的偏好語言（與 onMessageCreate 相同：每個語言只翻譯一次）
+      const customerId = roomData.customerId;
+      const sourceLang = template.sourceLang;
+      const recipientIds = chatRoomService.getParticipants(roomData)
+        .map((participant) => participant.userId)
+        .filter((participantId) => participantId !== userId);
+      const preferences = await new UserPreferenceService().getPreferencesForUsers(recipientIds);
+
+      const displayService = new DisplayTranslationService();
+      const { targetLanguages, registers } = displayService.groupTargetLanguages(preferences, sourceLang);
+      const targetLang = preferences.has(customerId) ? preferences.get(customerId).preferredLang : sourceLang;
+
+      const translationService = new TranslationService(openaiApiKey.value());
+      const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TRANSLATIONS || '2');
+      const results = await translationService.translateBatch(rendered.text, sourceLang, targetLanguages, maxConcurrent, {
+        roomId,
+        registers,
+      });
+      const translations = {};
+      Object.entries(results).forEach(([lang, result]) => {
+        if (result.text) {
+          translations[lang] = result;
+        }
+      });
+      const translation = translations[targetLang] || null;
+
+      // 5. 寫入訊息（translations 已填入，onMessageCreate 會略過）
+      const message = {
+        senderId: userId,
+        receiverId: customerId,
+        messageText: rendered.text,
+        lang: sourceLang,
+        detectedLang: sourceLang,
+        quickReplyId: template.id,
+        quickReplyScope: template.scope,
+      };
+      if (senderName && typeof senderName === 'string') {
+        message.senderName = senderName;
+      }
+      // 每位成員應看到的語言（司機看原文，其他成員看自己的偏好語言）
+      message.viewerLangs = displayService.buildViewerLangs(preferences, userId, sourceLang);
+      if (Object.keys(translations).length > 0) {
+        message.translations = translations;
+        message.translatedText = displayService.pickLegacyTranslatedText(translations);
+        message.translatedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      const messageId = await chatRoomService.createMessage(roomId, roomData, message);
+
+      const translated = Object.values(translations);
+      await new UsageService().record({
+        userId,
+        feature: 'quickReply',
+        cached: translated.every((result) => result.cached),
+        tokensUsed: translated.reduce((sum, result) => sum + (result.tokensUsed || 0), 0),
+        provider: translated.length > 0 ? translated[0].provider : null,
+        model: translated.length > 0 ? translated[0].model : null,
+        roomId,
+      });
+
+      console.log(`[QuickReply] Template ${template.id} sent by ${userId} in room ${roomId} (${sourceLang} -> ${targetLanguages.join(', ') || 'none'})`);
+
+      res.status(201).json({
+        messageId,
+        messageText: rendered.text,
+        translatedText: translation ? translation.text : rendered.text,
+        targetLang,
+        translation,
+        translations,
+      });
+
+    } catch (error) {
+      console.error('Quick reply error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
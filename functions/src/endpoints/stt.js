@@ -2,6 +2,10 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { defineSecret } = require('firebase-functions/params');
 const { getAuth } = require('firebase-admin/auth');
 const { SttService } = require('../services/sttService');
+const { UsageService } = require('../services/usageService');
+const { getRequestIdentity } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
 const Busboy = require('busboy');
 
 // 定義 Secret
@@ -10,14 +14,14 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
 /**
  * STT 端點（HTTPS）
  * 輸入：音訊檔案（multipart/form-data）+ language 參數
- * 輸出：{ text, language, duration }
+ * 輸出：{ text, language, duration }（language 為正規化後的語言代碼）
  * 
  * 流程：
  * 1. 驗證 Firebase Auth Token
  * 2. 解析 multipart/form-data（音訊檔案）
  * 3. 驗證請求參數
  * 4. 調用 OpenAI Whisper API
- * 5. 返回轉錄文字
+ * 5. 記錄用量（音訊秒數），返回轉錄文字
  */
 exports.stt = onRequest(
   {
@@ -72,6 +76,11 @@ exports.stt = onRequest(
         console.log('[STT] Guest mode: No authentication token provided');
       }
 
+      // 限流（登入用戶依 uid，遊客依指紋，並限制同一 IP 的總量）
+      if (!(await enforceRateLimit(req, res, 'stt', decodedToken))) {
+        return;
+      }
+
       // 2. 解析 multipart/form-data
       const contentType = req.headers['content-type'];
       if (!contentType || !contentType.includes('multipart/form-data')) {
@@ -79,12 +88,12 @@ exports.stt = onRequest(
         return;
       }
 
-      const { audioBuffer, language, filename } = await parseMultipartFormData(req);
+      const { audioBuffer, language: requestedLanguage, filename } = await parseMultipartFormData(req);
 
       console.log('[STT] Multipart data parsed:', {
         hasAudioBuffer: !!audioBuffer,
         audioSize: audioBuffer?.length || 0,
-        language,
+        language: requestedLanguage,
         filename,
       });
 
@@ -95,17 +104,17 @@ exports.stt = onRequest(
         return;
       }
 
-      if (!language || typeof language !== 'string') {
+      if (!requestedLanguage || typeof requestedLanguage !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "language" parameter' });
         return;
       }
 
-      // 支援的語言列表
-      const supportedLanguages = ['zh-TW', 'en', 'ja', 'ko', 'vi', 'th', 'ms', 'id'];
-      if (!supportedLanguages.includes(language)) {
+      // 正規化語言標籤並解析為支援語音辨識的語言
+      const language = resolveLanguage(requestedLanguage, 'stt');
+      if (!language) {
         res.status(400).json({
           error: 'Bad Request: Unsupported language',
-          supportedLanguages
+          supportedLanguages: getSupportedCodes('stt'),
         });
         return;
       }
@@ -116,7 +125,15 @@ exports.stt = onRequest(
       const sttService = new SttService(openaiApiKey.value());
       const result = await sttService.transcribe(audioBuffer, language, filename);
 
-      // 5. 返回轉錄文字
+      // 5. 記錄用量
+      await new UsageService().record({
+        userId: getRequestIdentity(req, decodedToken),
+        feature: 'stt',
+        audioSeconds: result.audioSeconds,
+        model: sttService.model,
+      });
+
+      // 6. 返回轉錄文字
       res.status(200).json({
         text: result.text,
         language: result.language,
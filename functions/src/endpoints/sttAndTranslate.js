@@ -3,7 +3,9 @@ const { defineSecret } = require('firebase-functions/params');
 const { getAuth } = require('firebase-admin/auth');
 const { SttService } = require('../services/sttService');
 const { TranslationService } = require('../services/translationService');
-const TranslationCacheService = require('../services/translationCacheService');
+const { UsageService } = require('../services/usageService');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
 const Busboy = require('busboy');
 
 // 定義 Secret
@@ -12,7 +14,7 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
 /**
  * STT + 翻譯合併端點（優化版）
  * 輸入：音訊檔案（multipart/form-data）+ sourceLang + targetLang
- * 輸出：{ text, translatedText, language, duration, cached }
+ * 輸出：{ text, translatedText, language, targetLang, duration, cached }（language / targetLang 為正規化後的語言代碼）
  * 
  * 流程：
  * 1. 驗證 Firebase Auth Token
@@ -21,7 +23,8 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
  * 4. 檢查翻譯快取
  * 5. 未命中 → 調用 OpenAI API（翻譯）
  * 6. 寫入快取
- * 7. 一次性返回 STT 結果和翻譯結果
+ * 7. 記錄用量（音訊秒數 + 翻譯 token）
+ * 8. 一次性返回 STT 結果和翻譯結果
  */
 exports.sttAndTranslate = onRequest(
   {
@@ -73,6 +76,11 @@ exports.sttAndTranslate = onRequest(
         return;
       }
 
+      // 限流
+      if (!(await enforceRateLimit(req, res, 'sttAndTranslate', decodedToken))) {
+        return;
+      }
+
       // 2. 解析 multipart/form-data
       const contentType = req.headers['content-type'];
       if (!contentType || !contentType.includes('multipart/form-data')) {
@@ -80,13 +88,13 @@ exports.sttAndTranslate = onRequest(
         return;
       }
 
-      const { audioBuffer, sourceLang, targetLang, filename } = await parseMultipartFormData(req);
+      const { audioBuffer, sourceLang: requestedSourceLang, targetLang: requestedTargetLang, filename } = await parseMultipartFormData(req);
 
       console.log('[STT+翻譯] Multipart data parsed:', {
         hasAudioBuffer: !!audioBuffer,
         audioSize: audioBuffer?.length || 0,
-        sourceLang,
-        targetLang,
+        sourceLang: requestedSourceLang,
+        targetLang: requestedTargetLang,
         filename,
       });
 
@@ -97,30 +105,31 @@ exports.sttAndTranslate = onRequest(
         return;
       }
 
-      if (!sourceLang || typeof sourceLang !== 'string') {
+      if (!requestedSourceLang || typeof requestedSourceLang !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "sourceLang" parameter' });
         return;
       }
 
-      if (!targetLang || typeof targetLang !== 'string') {
+      if (!requestedTargetLang || typeof requestedTargetLang !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "targetLang" parameter' });
         return;
       }
 
-      // 支援的語言列表
-      const supportedLanguages = ['zh-TW', 'en', 'ja', 'ko', 'vi', 'th', 'ms', 'id', 'zh-CN', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ar', 'hi', 'bn', 'pa', 'jv', 'sw', 'te', 'mr', 'ta', 'ur'];
-      if (!supportedLanguages.includes(sourceLang)) {
+      // 正規化語言標籤：來源語言需支援語音辨識，目標語言需支援翻譯
+      const sourceLang = resolveLanguage(requestedSourceLang, 'stt');
+      if (!sourceLang) {
         res.status(400).json({
           error: 'Bad Request: Unsupported source language',
-          supportedLanguages
+          supportedLanguages: getSupportedCodes('stt'),
         });
         return;
       }
 
-      if (!supportedLanguages.includes(targetLang)) {
+      const targetLang = resolveLanguage(requestedTargetLang, 'translate');
+      if (!targetLang) {
         res.status(400).json({
           error: 'Bad Request: Unsupported target language',
-          supportedLanguages
+          supportedLanguages: getSupportedCodes('translate'),
         });
         return;
       }
@@ -136,44 +145,40 @@ exports.sttAndTranslate = onRequest(
       const sttDuration = Date.now() - startTime;
       console.log(`[STT+翻譯] STT completed in ${sttDuration}ms, text="${sttResult.text.substring(0, 100)}..."`);
 
-      // 5. 檢查翻譯快取
-      console.log('[STT+翻譯] Step 2: Checking translation cache...');
-      const cacheService = new TranslationCacheService();
-      let translatedText = await cacheService.getTranslation(sttResult.text, targetLang);
-      let cached = !!translatedText;
+      // 5. 翻譯（TranslationService 先查快取，未命中才調用翻譯 API 並寫入快取）
+      console.log('[STT+翻譯] Step 2: Translating...');
+      const translationService = new TranslationService(openaiApiKey.value());
+      const translationResult = await translationService.translate(
+        sttResult.text,
+        sourceLang,
+        targetLang
+      );
 
-      if (cached) {
-        console.log(`[STT+翻譯] Cache hit for text: "${sttResult.text.substring(0, 50)}..." -> ${targetLang}`);
-      } else {
-        // 6. 快取未命中，調用翻譯 API
-        console.log(`[STT+翻譯] Cache miss, calling translation service...`);
-        const translationService = new TranslationService(openaiApiKey.value());
-        const translationResult = await translationService.translate(
-          sttResult.text,
-          sourceLang,
-          targetLang
-        );
-
-        if (!translationResult) {
-          // 來源語言和目標語言相同，直接返回原文
-          translatedText = sttResult.text;
-        } else {
-          translatedText = translationResult.text;
-        }
-
-        // 7. 寫入快取
-        await cacheService.setTranslation(sttResult.text, targetLang, translatedText);
-        console.log(`[STT+翻譯] Translation cached for future use`);
-      }
+      // 來源語言和目標語言相同時直接返回原文
+      const translatedText = translationResult ? translationResult.text : sttResult.text;
+      const cached = translationResult ? translationResult.cached : false;
+      console.log(`[STT+翻譯] Translation ${cached ? 'served from cache' : 'completed'} for text: "${sttResult.text.substring(0, 50)}..." -> ${targetLang}`);
 
       const totalDuration = Date.now() - startTime;
       console.log(`[STT+翻譯] Total processing time: ${totalDuration}ms (STT: ${sttDuration}ms, Translation: ${totalDuration - sttDuration}ms)`);
 
-      // 8. 返回結果
+      // 6. 記錄用量
+      await new UsageService().record({
+        userId: decodedToken.uid,
+        feature: 'sttAndTranslate',
+        audioSeconds: sttResult.audioSeconds,
+        tokensUsed: translationResult ? translationResult.tokensUsed : 0,
+        cached,
+        provider: translationResult ? translationResult.provider : null,
+        model: translationResult ? translationResult.model : null,
+      });
+
+      // 7. 返回結果
       res.status(200).json({
         text: sttResult.text,              // STT 結果
         translatedText: translatedText,     // 翻譯結果
-        language: sttResult.language,       // 偵測到的語言
+        language: sttResult.language,       // 來源語言（正規化後）
+        targetLang: targetLang,             // 目標語言（正規化後）
         duration: totalDuration,            // 總處理時間
         sttDuration: sttDuration,           // STT 處理時間
         translationDuration: totalDuration - sttDuration, // 翻譯處理時間
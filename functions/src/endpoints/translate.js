@@ -2,22 +2,37 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { defineSecret } = require('firebase-functions/params');
 const { getAuth } = require('firebase-admin/auth');
 const { TranslationService } = require('../services/translationService');
-const TranslationCacheService = require('../services/translationCacheService');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { UserPreferenceService, TRANSLATION_REGISTERS } = require('../services/userPreferenceService');
+const { UsageService } = require('../services/usageService');
+const { startEventStream, sendEvent, wantsEventStream } = require('../utils/sse');
+const { getRequestIdentity } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
 
 // 定義 Secret
 const openaiApiKey = defineSecret('OPENAI_API_KEY');
 
 /**
  * 翻譯端點（HTTPS）
- * 輸入：{ text, targetLang }
- * 輸出：{ translatedText }
+ * 輸入：{ text, targetLang, roomId?, register?, receiverId?, stream? }
+ * 輸出：{ translatedText, provider, targetLang, register }（targetLang 為正規化後的語言代碼）
+ *
+ * 串流模式（stream: true 或 Accept: text/event-stream）以 Server-Sent Events 回應：
+ * - event: delta → { text }：新的譯文片段
+ * - event: done  → { translatedText, cached, provider, model, tokensUsed, replaced, targetLang, register }：
+ *   完整譯文；replaced 為 true 時代表詞彙表修正過譯文，應以 translatedText 取代已顯示的片段
+ * - event: error → { error, message }
+ * 快取命中時只送出一個 done 事件
  * 
  * 流程：
  * 1. 驗證 Firebase Auth Token
- * 2. 檢查快取
- * 3. 未命中 → 調用 OpenAI API
- * 4. 寫入快取
- * 5. 返回翻譯結果
+ * 2. 決定語氣（register 參數 → 接收者 users/{receiverId} → 請求者本人的設定），
+ *    載入詞彙表（全域 + roomId 覆寫）
+ * 3. 檢查快取（記憶體 LRU → Firestore，由 TranslationService 統一處理）
+ * 4. 未命中 → 依 provider fallback 鏈翻譯（OpenAI → 下一個 provider；串流模式逐段送出）並寫入快取
+ * 5. 記錄用量（登入用戶為 uid，遊客為 guest:<hash>）
+ * 6. 返回翻譯結果
  */
 exports.translate = onRequest(
   {
@@ -64,56 +79,136 @@ exports.translate = onRequest(
         console.log('Guest mode: No authentication token provided');
       }
 
+      // 限流（登入用戶依 uid，遊客依指紋，並限制同一 IP 的總量）
+      if (!(await enforceRateLimit(req, res, 'translate', decodedToken))) {
+        return;
+      }
+
       // 2. 驗證請求參數
-      const { text, targetLang } = req.body;
+      const { text, roomId, receiverId } = req.body;
+      const streamMode = wantsEventStream(req);
 
       if (!text || typeof text !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "text" parameter' });
         return;
       }
 
-      if (!targetLang || typeof targetLang !== 'string') {
+      if (!req.body.targetLang || typeof req.body.targetLang !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "targetLang" parameter' });
         return;
       }
 
-      // 支援的語言列表
-      const supportedLanguages = ['zh-TW', 'en', 'ja', 'ko', 'vi', 'th', 'ms', 'id'];
-      if (!supportedLanguages.includes(targetLang)) {
-        res.status(400).json({ 
+      // 正規化語言標籤（zh_TW、zh-Hant 等都解析為 zh-TW，避免不同寫法產生不同的快取鍵）
+      const targetLang = resolveLanguage(req.body.targetLang, 'translate');
+      if (!targetLang) {
+        res.status(400).json({
           error: 'Bad Request: Unsupported target language',
-          supportedLanguages 
+          supportedLanguages: getSupportedCodes('translate'),
         });
         return;
       }
 
-      // 3. 檢查快取
-      const cacheService = new TranslationCacheService();
-      const cachedTranslation = await cacheService.getTranslation(text, targetLang);
-
-      if (cachedTranslation) {
-        console.log(`Cache hit for text: "${text.substring(0, 50)}..." -> ${targetLang}`);
-        res.status(200).json({
-          translatedText: cachedTranslation,
-          cached: true,
-          userId: userId,
+      if (req.body.register && !TRANSLATION_REGISTERS.includes(req.body.register)) {
+        res.status(400).json({
+          error: 'Bad Request: Unsupported register',
+          supportedRegisters: TRANSLATION_REGISTERS,
         });
         return;
       }
 
-      // 4. 快取未命中，調用 OpenAI API
-      console.log(`Cache miss for text: "${text.substring(0, 50)}..." -> ${targetLang}`);
-      
+      // 聊天室詞彙只開放給該聊天室的成員
+      if (roomId) {
+        const chatRoomService = new ChatRoomService();
+        const roomData = await chatRoomService.getRoom(roomId);
+        if (!chatRoomService.isRoomMember(roomData, decodedToken && decodedToken.uid)) {
+          res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+          return;
+        }
+      }
+
+      // 3. 決定語氣：未指定時使用接收者（預設為請求者本人）的偏好
+      const registerOwner = receiverId || (decodedToken && decodedToken.uid);
+      const register = req.body.register
+        || (registerOwner ? await new UserPreferenceService().getRegister(registerOwner) : null);
+
+      // 4. 載入詞彙表（快取由 TranslationService 處理，詞彙或語氣不同時使用不同的快取鍵）
       const translationService = new TranslationService(openaiApiKey.value());
-      const translatedText = await translationService.translateText(text, targetLang);
+      const glossary = await translationService.loadGlossary(text, targetLang, roomId);
 
-      // 5. 寫入快取
-      await cacheService.setTranslation(text, targetLang, translatedText);
+      const usageService = new UsageService();
+      const usageUserId = getRequestIdentity(req, decodedToken);
+
+      // 5. 翻譯（快取命中時直接返回，未命中則依 provider 鏈翻譯並寫入快取）
+      if (streamMode) {
+        startEventStream(res);
+        try {
+          const translation = await translationService.translateStream(
+            text,
+            'auto',
+            targetLang,
+            { glossary, register },
+            (delta) => sendEvent(res, 'delta', { text: delta })
+          );
+          const translatedText = translation ? translation.text : text;
+          const cached = translation ? translation.cached : false;
+          const provider = translation ? translation.provider : null;
+          const model = translation ? translation.model : null;
+
+          await usageService.record({
+            userId: usageUserId,
+            feature: 'translate',
+            cached,
+            tokensUsed: translation ? translation.tokensUsed : 0,
+            provider,
+            model,
+            roomId,
+          });
+
+          sendEvent(res, 'done', {
+            translatedText,
+            cached,
+            provider,
+            model,
+            tokensUsed: translation ? translation.tokensUsed : 0,
+            replaced: translation ? Boolean(translation.replaced) : false,
+            targetLang,
+            register,
+            userId: userId,
+          });
+        } catch (error) {
+          console.error('Streaming translation error:', error);
+          sendEvent(res, 'error', {
+            error: error.status === 429 ? 'Rate limit exceeded' : 'Internal server error',
+            message: error.message || 'An unexpected error occurred',
+          });
+        }
+        res.end();
+        return;
+      }
+
+      const translation = await translationService.translate(text, 'auto', targetLang, { glossary, register });
+      const translatedText = translation ? translation.text : text;
+      const cached = translation ? translation.cached : false;
+      const provider = translation ? translation.provider : null;
+
+      // 6. 記錄用量
+      await usageService.record({
+        userId: usageUserId,
+        feature: 'translate',
+        cached,
+        tokensUsed: translation ? translation.tokensUsed : 0,
+        provider,
+        model: translation ? translation.model : null,
+        roomId,
+      });
 
-      // 6. 返回翻譯結果
+      // 7. 返回翻譯結果
       res.status(200).json({
         translatedText,
-        cached: false,
+        cached,
+        provider,
+        targetLang,
+        register,
         userId: userId,
       });
 
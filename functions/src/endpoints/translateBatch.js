@@ -0,0 +1,273 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const { verifyRequestToken, getRequestIdentity } = require('../utils/auth');
+const { TranslationService } = require('../services/translationService');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { TRANSLATION_REGISTERS } = require('../services/userPreferenceService');
+const { UsageService } = require('../services/usageService');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+// 單次請求上限
+// 組合數（文字 × 目標語言）與併發數需讓全部未命中快取的請求在 timeoutSeconds 內完成
+// （約 3 秒 / 次：60 組 ÷ 6 併發 ≈ 30 秒，保留重試與 fallback 的時間）
+const MAX_BATCH_TEXTS = parseInt(process.env.MAX_BATCH_TEXTS || '50');
+const MAX_BATCH_LANGS = parseInt(process.env.MAX_BATCH_LANGS || '8');
+const MAX_BATCH_PAIRS = parseInt(process.env.MAX_BATCH_PAIRS || '60');
+const MAX_BATCH_TEXT_LENGTH = parseInt(process.env.MAX_BATCH_TEXT_LENGTH || '500');
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '6');
+
+/**
+ * 批次翻譯端點（HTTPS）
+ * 輸入：{ texts: string[], targetLangs: string[], sourceLang?, roomId?, register? }
+ * 輸出：{ results: [{ index, text, translations: { [lang]: {...} }, errors: { [lang]: string } }], stats, sourceLang, resolvedLangs }
+ * translations / errors 以正規化後的語言代碼為鍵，resolvedLangs 為 { 請求的標籤: 正規化後的代碼 }
+ *
+ * 流程：
+ * 1. 驗證 Firebase Auth Token（可選，支援遊客模式）
+ * 2. 驗證請求參數（文字 × 語言不超過 MAX_BATCH_PAIRS；個別文字無效或超過 MAX_BATCH_TEXT_LENGTH 時只回報該項錯誤）
+ * 3. 每組（文字, 目標語言）先查翻譯快取（記憶體 LRU → Firestore）
+ * 4. 只有未命中的組合交給 TranslationService（BATCH_CONCURRENCY 併發，不再重複查快取，譯文由服務寫入快取）
+ * 5. 記錄用量，返回逐項結果與逐項錯誤
+ */
+exports.translateBatch = onRequest(
+  {
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    maxInstances: 10, // 限制最大實例數，防止成本失控
+    timeoutSeconds: 120,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token（可選，支援遊客模式）
+      const decodedToken = await verifyRequestToken(req, '[TranslateBatch]');
+      const userId = decodedToken ? decodedToken.uid : 'guest';
+
+      // 限流（登入用戶依 uid，遊客依指紋，並限制同一 IP 的總量）
+      if (!(await enforceRateLimit(req, res, 'translateBatch', decodedToken))) {
+        return;
+      }
+
+      // 2. 驗證請求參數
+      const { texts, targetLangs, roomId } = req.body;
+      const register = req.body.register || null;
+
+      if (!Array.isArray(texts) || texts.length === 0) {
+        res.status(400).json({ error: 'Bad Request: "texts" must be a non-empty array' });
+        return;
+      }
+
+      if (texts.length > MAX_BATCH_TEXTS) {
+        res.status(400).json({ error: `Bad Request: At most ${MAX_BATCH_TEXTS} texts per request` });
+        return;
+      }
+
+      if (!Array.isArray(targetLangs) || targetLangs.length === 0) {
+        res.status(400).json({ error: 'Bad Request: "targetLangs" must be a non-empty array' });
+        return;
+      }
+
+      if (targetLangs.length > MAX_BATCH_LANGS) {
+        res.status(400).json({ error: `Bad Request: At most ${MAX_BATCH_LANGS} target languages per request` });
+        return;
+      }
+
+      // 正規化語言標籤（zh_TW、zh-Hant 等都解析為 zh-TW）
+      const resolvedLangs = {};
+      const unsupported = [];
+      targetLangs.forEach((lang) => {
+        const resolved = resolveLanguage(lang, 'translate');
+        if (resolved) {
+          resolvedLangs[lang] = resolved;
+        } else {
+          unsupported.push(lang);
+        }
+      });
+      if (unsupported.length > 0) {
+        res.status(400).json({
+          error: 'Bad Request: Unsupported target language',
+          unsupported,
+          supportedLanguages: getSupportedCodes('translate'),
+        });
+        return;
+      }
+
+      const sourceLang = req.body.sourceLang && req.body.sourceLang !== 'auto'
+        ? resolveLanguage(req.body.sourceLang, 'translate')
+        : 'auto';
+      if (!sourceLang) {
+        res.status(400).json({
+          error: 'Bad Request: Unsupported source language',
+          supportedLanguages: getSupportedCodes('translate'),
+        });
+        return;
+      }
+
+      if (register && !TRANSLATION_REGISTERS.includes(register)) {
+        res.status(400).json({
+          error: 'Bad Request: Unsupported register',
+          supportedRegisters: TRANSLATION_REGISTERS,
+        });
+        return;
+      }
+
+      // 聊天室詞彙只開放給該聊天室的成員
+      if (roomId) {
+        const chatRoomService = new ChatRoomService();
+        const roomData = await chatRoomService.getRoom(roomId);
+        if (!chatRoomService.isRoomMember(roomData, decodedToken && decodedToken.uid)) {
+          res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+          return;
+        }
+      }
+
+      const languages = [...new Set(Object.values(resolvedLangs))];
+      if (texts.length * languages.length > MAX_BATCH_PAIRS) {
+        res.status(400).json({
+          error: `Bad Request: At most ${MAX_BATCH_PAIRS} text x language pairs per request (got ${texts.length} x ${languages.length})`,
+        });
+        return;
+      }
+
+      const results = texts.map((text, index) => ({ index, text, translations: {}, errors: {} }));
+      const stats = { total: 0, cached: 0, translated: 0, failed: 0 };
+
+      // 3. 逐組檢查快取（相同文字只處理一次）
+      const translationService = new TranslationService(openaiApiKey.value());
+      const pairs = new Map();
+
+      results.forEach((item) => {
+        if (!item.text || typeof item.text !== 'string') {
+          languages.forEach((lang) => {
+            item.errors[lang] = 'Invalid text: must be a non-empty string';
+          });
+          stats.total += languages.length;
+          stats.failed += languages.length;
+          return;
+        }
+
+        if (item.text.length > MAX_BATCH_TEXT_LENGTH) {
+          languages.forEach((lang) => {
+            item.errors[lang] = `Text too long: at most ${MAX_BATCH_TEXT_LENGTH} characters`;
+          });
+          stats.total += languages.length;
+          stats.failed += languages.length;
+          return;
+        }
+
+        languages.forEach((lang) => {
+          const key = `${lang}|${item.text}`;
+          if (!pairs.has(key)) {
+            pairs.set(key, { text: item.text, targetLang: lang, items: [] });
+          }
+          pairs.get(key).items.push(item);
+        });
+      });
+
+      const pairList = [...pairs.values()];
+      await Promise.all(pairList.map(async (pair) => {
+        pair.glossary = await translationService.loadGlossary(pair.text, pair.targetLang, roomId);
+        pair.cached = await translationService.lookupCache(pair.text, sourceLang, pair.targetLang, {
+          glossary: pair.glossary,
+          register,
+        });
+      }));
+
+      const misses = pairList.filter((pair) => !pair.cached);
+      console.log(`[TranslateBatch] ${texts.length} texts x ${languages.length} languages: ${pairList.length - misses.length} cache hits, ${misses.length} misses`);
+
+      // 4. 未命中的組合交給 provider（併發控制；已確認未命中，不再重複查快取）
+      const outcomes = await translationService.translateJobs(
+        misses.map((pair) => ({
+          text: pair.text,
+          sourceLang,
+          targetLang: pair.targetLang,
+          options: { glossary: pair.glossary, register, cacheChecked: true },
+        })),
+        BATCH_CONCURRENCY
+      );
+
+      // 5. 整理未命中組合的結果
+      misses.forEach((pair, index) => {
+        const outcome = outcomes[index];
+        if (outcome.error) {
+          pair.error = outcome.error.message;
+          return;
+        }
+
+        const translation = outcome.result;
+        pair.translatedText = translation ? translation.text : pair.text;
+        pair.provider = translation ? translation.provider : null;
+      });
+
+      // 記錄用量（整批一筆，token 為所有未命中組合的總和）
+      const tokensUsed = outcomes.reduce((sum, outcome) => sum + ((outcome.result && outcome.result.tokensUsed) || 0), 0);
+      await new UsageService().record({
+        userId: getRequestIdentity(req, decodedToken),
+        feature: 'translateBatch',
+        tokensUsed,
+        cached: misses.length === 0,
+        roomId,
+      });
+
+      // 6. 組合逐項結果
+      for (const pair of pairList) {
+        for (const item of pair.items) {
+          stats.total++;
+          if (pair.error) {
+            stats.failed++;
+            item.errors[pair.targetLang] = pair.error;
+          } else if (pair.cached) {
+            stats.cached++;
+            item.translations[pair.targetLang] = {
+              translatedText: pair.cached.text,
+              cached: true,
+              provider: pair.cached.provider,
+            };
+          } else {
+            stats.translated++;
+            item.translations[pair.targetLang] = {
+              translatedText: pair.translatedText,
+              cached: false,
+              provider: pair.provider,
+            };
+          }
+        }
+      }
+
+      res.status(200).json({
+        results,
+        stats,
+        sourceLang,
+        resolvedLangs,
+        userId: userId,
+      });
+
+    } catch (error) {
+      console.error('Batch translation error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
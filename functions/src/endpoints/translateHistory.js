@@ -0,0 +1,269 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { verifyRequestToken } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage } = require('../utils/languages');
+const { TranslationService } = require('../services/translationService');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { TRANSLATION_REGISTERS, UserPreferenceService } = require('../services/userPreferenceService');
+const { DisplayTranslationService } = require('../services/displayTranslationService');
+const { UsageService } = require('../services/usageService');
+
+// 定義 Secret
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+// 每頁預設與最多翻譯的訊息數
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = parseInt(process.env.MAX_HISTORY_PAGE_SIZE || '100');
+
+// Firestore 單一 batch 最多 500 筆寫入
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * 解析時間範圍參數（ISO 8601 字串或毫秒）
+ * @param {string|number|undefined} value
+ * @returns {Timestamp|null|undefined} - 未提供時回傳 undefined，格式錯誤時回傳 null
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+}
+
+/**
+ * 聊天紀錄批次翻譯端點（HTTPS）
+ * 輸入：{ roomId, targetLang?, register?, limit?, since?, until?, pageToken? }
+ * 輸出：{ targetLang, register, messages: [{ messageId, senderId, createdAt, lang, text, original, translation }], nextPageToken, stats }
+ *
+ * 新加入的客服或改派的司機打開既有聊天室時，一次翻譯最近的訊息，不必逐則呼叫 translateMessage：
+ * - 依 createdAt 由新到舊分頁，每頁 limit 則（預設 50，最多 MAX_HISTORY_PAGE_SIZE）
+ * - since / until 限定時間範圍（since ≤ createdAt < until）
+ * - nextPageToken 為本頁最舊一則訊息的 ID，帶入 pageToken 取得更早的訊息；沒有更多訊息時為 null
+ * - targetLang 與 register 省略時使用請求者的偏好
+ * - 已有相同語氣的 translations.{lang} 直接使用，其餘透過翻譯快取或模型翻譯後分批寫回
+ *   （已有其他語氣的譯文時只回傳給請求者，不覆寫）
+ */
+exports.translateHistory = onRequest(
+  {
+    secrets: [openaiApiKey],
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 300,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[TranslateHistory]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      if (!await enforceRateLimit(req, res, 'translateHistory', decodedToken)) {
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const { roomId, pageToken } = req.body;
+
+      // 2. 驗證請求參數
+      if (!roomId || typeof roomId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "roomId" parameter' });
+        return;
+      }
+
+      let targetLang = null;
+      if (req.body.targetLang !== undefined) {
+        targetLang = resolveLanguage(req.body.targetLang, 'translate');
+        if (!targetLang) {
+          res.status(400).json({ error: `Bad Request: Unsupported target language: ${req.body.targetLang}` });
+          return;
+        }
+      }
+
+      if (req.body.register && !TRANSLATION_REGISTERS.includes(req.body.register)) {
+        res.status(400).json({ error: `Bad Request: Unsupported register. Supported: ${TRANSLATION_REGISTERS.join(', ')}` });
+        return;
+      }
+
+      const limit = req.body.limit === undefined ? DEFAULT_HISTORY_PAGE_SIZE : parseInt(req.body.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+        res.status(400).json({ error: `Bad Request: "limit" must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+        return;
+      }
+
+      const since = parseTime(req.body.since);
+      const until = parseTime(req.body.until);
+      if (since === null || until === null) {
+        res.status(400).json({ error: 'Bad Request: "since" and "until" must be ISO 8601 dates or milliseconds' });
+        return;
+      }
+
+      if (pageToken !== undefined && (!pageToken || typeof pageToken !== 'string')) {
+        res.status(400).json({ error: 'Bad Request: Invalid "pageToken" parameter' });
+        return;
+      }
+
+      const chatRoomService = new ChatRoomService();
+      const roomData = await chatRoomService.getRoom(roomId);
+      if (!roomData) {
+        res.status(404).json({ error: 'Chat room not found' });
+        return;
+      }
+      if (!chatRoomService.isRoomMember(roomData, userId)) {
+        res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+        return;
+      }
+
+      // 3. 決定語言與語氣（未指定時使用請求者的偏好）
+      const preferences = await new UserPreferenceService().getPreferences(userId);
+      const lang = targetLang || preferences.preferredLang;
+      const register = req.body.register || preferences.translationRegister;
+
+      // 4. 讀取本頁訊息（createdAt 的範圍查詢與排序為同一欄位，不需要複合索引）
+      const db = getFirestore();
+      const messagesRef = db.collection('chat_rooms').doc(roomId).collection('messages');
+      let query = messagesRef.orderBy('createdAt', 'desc');
+      if (since) {
+        query = query.where('createdAt', '>=', since);
+      }
+      if (until) {
+        query = query.where('createdAt', '<', until);
+      }
+      if (pageToken) {
+        const cursorDoc = await messagesRef.doc(pageToken).get();
+        if (!cursorDoc.exists) {
+          res.status(400).json({ error: 'Bad Request: Invalid "pageToken" parameter' });
+          return;
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // 多讀一則判斷是否還有下一頁
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const nextPageToken = snapshot.size > limit ? docs[docs.length - 1].id : null;
+
+      const displayService = new DisplayTranslationService();
+      const stats = { total: docs.length, original: 0, stored: 0, translated: 0, failed: 0 };
+      const results = [];
+      const pending = [];
+
+      docs.forEach((doc) => {
+        const messageData = doc.data();
+        const result = {
+          messageId: doc.id,
+          senderId: messageData.senderId || null,
+          createdAt: messageData.createdAt ? messageData.createdAt.toDate().toISOString() : null,
+        };
+        results.push(result);
+
+        // 已有相同語氣的譯文才直接使用（與 translateMessage 相同）
+        const resolved = displayService.resolveForViewer(messageData, lang);
+        if (resolved && (resolved.original || (resolved.translation.register || null) === register)) {
+          Object.assign(result, resolved);
+          stats[resolved.original ? 'original' : 'stored']++;
+        } else {
+          pending.push({ doc, messageData, result });
+        }
+      });
+
+      // 5. 翻譯尚無譯文的訊息（translate 會先查翻譯快取）
+      let tokensUsed = 0;
+      const writes = [];
+      if (pending.length > 0) {
+        const translationService = new TranslationService(openaiApiKey.value());
+        const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TRANSLATIONS || '2');
+        const outcomes = await translationService.translateJobs(pending.map(({ messageData }) => ({
+          text: messageData.messageText,
+          sourceLang: displayService.getSourceLang(messageData) || 'auto',
+          targetLang: lang,
+          options: { roomId, register },
+        })), maxConcurrent);
+
+        outcomes.forEach((outcome, index) => {
+          const { doc, messageData, result } = pending[index];
+          if (outcome.error) {
+            stats.failed++;
+            Object.assign(result, {
+              lang: null,
+              text: messageData.messageText,
+              original: true,
+              translation: null,
+              error: outcome.error.message,
+            });
+            return;
+          }
+
+          // 沒有結果表示來源語言與目標語言相同（自動偵測後才得知），直接顯示原文
+          if (!outcome.result) {
+            stats.original++;
+            Object.assign(result, { lang, text: messageData.messageText, original: true, translation: null });
+            return;
+          }
+
+          stats.translated++;
+          tokensUsed += outcome.result.tokensUsed || 0;
+          Object.assign(result, { lang, text: outcome.result.text, original: false, translation: outcome.result });
+
+          // 只在尚無該語言譯文、或既有譯文語氣相同時寫回，不覆寫其他成員使用的語氣
+          const existing = messageData.translations && messageData.translations[lang];
+          if (!existing || (existing.register || null) === register) {
+            writes.push({ ref: doc.ref, translation: outcome.result });
+          }
+        });
+      }
+
+      // 6. 分批寫回 translations.{lang}（不同語氣的既有譯文保留，只回傳給請求者）
+      for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(start, start + MAX_BATCH_WRITES).forEach(({ ref, translation }) => {
+          batch.update(ref, {
+            [`translations.${lang}`]: translation,
+            translatedAt: FieldValue.serverTimestamp(),
+          });
+        });
+        await batch.commit();
+      }
+
+      // 7. 記錄用量
+      await new UsageService().record({
+        userId,
+        feature: 'translateHistory',
+        cached: tokensUsed === 0,
+        tokensUsed,
+        roomId,
+      });
+
+      console.log(`[TranslateHistory] ${docs.length} messages for ${userId} in room ${roomId} (${lang}): ${stats.original} original, ${stats.stored} stored, ${stats.translated} translated, ${stats.failed} failed`);
+
+      res.status(200).json({ targetLang: lang, register, messages: results, nextPageToken, stats });
+
+    } catch (error) {
+      console.error('Translate history error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
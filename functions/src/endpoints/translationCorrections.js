@@ -0,0 +1,144 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { verifyRequestToken, isAdminToken } = require('../utils/auth');
+const { ChatRoomService } = require('../services/chatRoomService');
+const { TranslationCorrectionService, CORRECTION_STATUSES } = require('../services/translationCorrectionService');
+const { resolveLanguage } = require('../utils/languages');
+
+/**
+ * 翻譯修正端點（HTTPS）
+ *
+ * POST { roomId, messageId, targetLang, correctedText }      → 提出修正（聊天室成員）
+ * GET  ?status=pending&roomId=&limit=50                      → 列出修正（僅管理員，limit 限制在 1–100）
+ * PUT  { correctionId, action: 'approve' | 'reject', note? } → 核准或駁回（僅管理員）
+ *
+ * 核准後覆寫訊息的 translations.{lang} 與 translation_cache 中的對應快取
+ */
+exports.translationCorrections = onRequest(
+  {
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 60,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (!['GET', 'POST', 'PUT'].includes(req.method)) {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[Corrections]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      const userId = decodedToken.uid;
+      const isAdmin = isAdminToken(decodedToken);
+      const correctionService = new TranslationCorrectionService();
+
+      // 2. 提出修正（聊天室成員）
+      if (req.method === 'POST') {
+        const validationError = correctionService.validateCorrection(req.body);
+        if (validationError) {
+          res.status(400).json({ error: `Bad Request: ${validationError}` });
+          return;
+        }
+
+        // 正規化語言標籤，對應訊息中 translations 的鍵
+        const targetLang = resolveLanguage(req.body.targetLang, 'translate');
+        if (!targetLang) {
+          res.status(400).json({ error: 'Bad Request: Unsupported target language' });
+          return;
+        }
+
+        const chatRoomService = new ChatRoomService();
+        const roomData = await chatRoomService.getRoom(req.body.roomId);
+        if (!roomData) {
+          res.status(404).json({ error: 'Chat room not found' });
+          return;
+        }
+        if (!chatRoomService.isRoomMember(roomData, userId) && !isAdmin) {
+          res.status(403).json({ error: 'Forbidden: Not a member of this chat room' });
+          return;
+        }
+
+        const result = await correctionService.createCorrection({ ...req.body, targetLang }, userId);
+        if (result.error) {
+          res.status(result.status).json({ error: result.error });
+          return;
+        }
+
+        console.log(`[Corrections] Correction ${result.correction.id} proposed by ${userId} for message ${req.body.messageId} (${targetLang})`);
+        res.status(201).json({ correction: result.correction });
+        return;
+      }
+
+      // 3. 以下操作僅限管理員
+      if (!isAdmin) {
+        res.status(403).json({ error: 'Forbidden: Only admins can review corrections' });
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const status = req.query.status || 'pending';
+        if (!CORRECTION_STATUSES.includes(status)) {
+          res.status(400).json({
+            error: 'Bad Request: Unsupported status',
+            supportedStatuses: CORRECTION_STATUSES,
+          });
+          return;
+        }
+
+        const corrections = await correctionService.listCorrections({
+          status,
+          roomId: req.query.roomId || null,
+          // 非數字時使用預設值，超出範圍由 listCorrections 限制在 1 到 100 之間
+          limit: parseInt(req.query.limit || '50') || 50,
+        });
+        res.status(200).json({ status, corrections });
+        return;
+      }
+
+      const { correctionId, action, note } = req.body;
+      if (!correctionId || typeof correctionId !== 'string') {
+        res.status(400).json({ error: 'Bad Request: Missing or invalid "correctionId" parameter' });
+        return;
+      }
+      if (action !== 'approve' && action !== 'reject') {
+        res.status(400).json({ error: 'Bad Request: "action" must be "approve" or "reject"' });
+        return;
+      }
+
+      const result = action === 'approve'
+        ? await correctionService.approveCorrection(correctionId, userId, note || null)
+        : await correctionService.rejectCorrection(correctionId, userId, note || null);
+
+      if (result.error) {
+        res.status(result.status).json({ error: result.error });
+        return;
+      }
+
+      console.log(`[Corrections] Correction ${correctionId} ${result.correction.status} by ${userId}`);
+      res.status(200).json(result);
+
+    } catch (error) {
+      console.error('Corrections error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
@@ -2,6 +2,10 @@ const { onRequest } = require('firebase-functions/v2/https');
 const { defineSecret } = require('firebase-functions/params');
 const { getAuth } = require('firebase-admin/auth');
 const { TtsService } = require('../services/ttsService');
+const { UsageService } = require('../services/usageService');
+const { getRequestIdentity } = require('../utils/auth');
+const { enforceRateLimit } = require('../utils/rateLimit');
+const { resolveLanguage, getSupportedCodes } = require('../utils/languages');
 
 // 定義 Secret
 const openaiApiKey = defineSecret('OPENAI_API_KEY');
@@ -9,13 +13,13 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
 /**
  * TTS 端點（HTTPS）
  * 輸入：{ text, language }
- * 輸出：音訊檔案（MP3 格式）
+ * 輸出：音訊檔案（MP3 格式），Content-Language 標頭為正規化後的語言代碼
  * 
  * 流程：
  * 1. 驗證 Firebase Auth Token
  * 2. 驗證請求參數
  * 3. 調用 OpenAI TTS API
- * 4. 返回音訊檔案
+ * 4. 記錄用量（字元數），返回音訊檔案
  */
 exports.tts = onRequest(
   {
@@ -62,25 +66,30 @@ exports.tts = onRequest(
         console.log('[TTS] Guest mode: No authentication token provided');
       }
 
+      // 限流（登入用戶依 uid，遊客依指紋，並限制同一 IP 的總量）
+      if (!(await enforceRateLimit(req, res, 'tts', decodedToken))) {
+        return;
+      }
+
       // 2. 驗證請求參數
-      const { text, language } = req.body;
+      const { text } = req.body;
 
       if (!text || typeof text !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "text" parameter' });
         return;
       }
 
-      if (!language || typeof language !== 'string') {
+      if (!req.body.language || typeof req.body.language !== 'string') {
         res.status(400).json({ error: 'Bad Request: Missing or invalid "language" parameter' });
         return;
       }
 
-      // 支援的語言列表
-      const supportedLanguages = ['zh-TW', 'en', 'ja', 'ko', 'vi', 'th', 'ms', 'id'];
-      if (!supportedLanguages.includes(language)) {
+      // 正規化語言標籤並解析為支援 TTS 的語言
+      const language = resolveLanguage(req.body.language, 'tts');
+      if (!language) {
         res.status(400).json({
           error: 'Bad Request: Unsupported language',
-          supportedLanguages
+          supportedLanguages: getSupportedCodes('tts'),
         });
         return;
       }
@@ -101,8 +110,17 @@ exports.tts = onRequest(
       const ttsService = new TtsService(openaiApiKey.value());
       const audioBuffer = await ttsService.generateSpeech(text, language);
 
-      // 4. 返回音訊檔案
+      // 4. 記錄用量
+      await new UsageService().record({
+        userId: getRequestIdentity(req, decodedToken),
+        feature: 'tts',
+        ttsCharacters: text.length,
+        model: ttsService.model,
+      });
+
+      // 5. 返回音訊檔案
       res.set('Content-Type', 'audio/mpeg');
+      res.set('Content-Language', language);
       res.set('Content-Length', audioBuffer.length.toString());
       res.set('Content-Disposition', 'attachment; filename="speech.mp3"');
       res.status(200).send(audioBuffer);
@@ -0,0 +1,115 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { verifyRequestToken, isAdminToken } = require('../utils/auth');
+const { UsageService, USAGE_FEATURES } = require('../services/usageService');
+
+// 單次查詢最多的天數
+const MAX_USAGE_RANGE_DAYS = parseInt(process.env.MAX_USAGE_RANGE_DAYS || '31');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 用量查詢端點（HTTPS）
+ *
+ * GET ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD          → 自己的每日用量（預設最近 7 天）
+ * GET ?userId=...                                       → 指定用戶的每日用量（僅管理員）
+ * GET ?scope=features&features=translate,stt            → 各功能的每日總用量（僅管理員）
+ *
+ * 輸出：{ days: [{ date, requests, cachedRequests, tokensUsed, audioSeconds, ttsCharacters, features }], totals }
+ */
+exports.usage = onRequest(
+  {
+    region: 'asia-east1',
+    maxInstances: 10,
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    // CORS 處理
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.status(204).send('');
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      // 1. 驗證 Firebase Auth Token
+      const decodedToken = await verifyRequestToken(req, '[Usage]');
+      if (!decodedToken) {
+        res.status(401).json({ error: 'Unauthorized: Missing or invalid token' });
+        return;
+      }
+
+      const usageService = new UsageService();
+      const isAdmin = isAdminToken(decodedToken);
+      const scope = req.query.scope || 'user';
+      const userId = req.query.userId || decodedToken.uid;
+
+      // 2. 權限檢查
+      if (scope !== 'user' && scope !== 'features') {
+        res.status(400).json({ error: 'Bad Request: "scope" must be "user" or "features"' });
+        return;
+      }
+
+      if ((scope === 'features' || userId !== decodedToken.uid) && !isAdmin) {
+        res.status(403).json({ error: 'Forbidden: Only admins can query other users or feature totals' });
+        return;
+      }
+
+      // 3. 驗證日期範圍（預設最近 7 天）
+      const endDate = req.query.endDate || usageService.getDateKey();
+      const startDate = req.query.startDate
+        || usageService.getDateKey(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000));
+
+      if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+        res.status(400).json({ error: 'Bad Request: Dates must be in YYYY-MM-DD format' });
+        return;
+      }
+
+      const dayCount = usageService.listDates(startDate, endDate).length;
+      if (dayCount === 0) {
+        res.status(400).json({ error: 'Bad Request: "startDate" must not be after "endDate"' });
+        return;
+      }
+      if (dayCount > MAX_USAGE_RANGE_DAYS) {
+        res.status(400).json({ error: `Bad Request: At most ${MAX_USAGE_RANGE_DAYS} days per request` });
+        return;
+      }
+
+      // 4. 查詢
+      if (scope === 'features') {
+        const features = req.query.features ? req.query.features.split(',') : USAGE_FEATURES;
+        const unsupported = features.filter((feature) => !USAGE_FEATURES.includes(feature));
+        if (unsupported.length > 0) {
+          res.status(400).json({
+            error: 'Bad Request: Unsupported feature',
+            unsupported,
+            supportedFeatures: USAGE_FEATURES,
+          });
+          return;
+        }
+
+        const usage = await usageService.getFeatureUsage(startDate, endDate, features);
+        res.status(200).json({ scope, startDate, endDate, ...usage });
+        return;
+      }
+
+      const usage = await usageService.getUserUsage(userId, startDate, endDate);
+      res.status(200).json({ scope, userId, startDate, endDate, ...usage });
+
+    } catch (error) {
+      console.error('Usage query error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'An unexpected error occurred',
+      });
+    }
+  }
+);
@@ -0,0 +1,47 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { resolveLanguage } = require('../utils/languages');
+
+/**
+ * 偏好語言正規化觸發器
+ *
+ * 監聽路徑：users/{userId}
+ * 觸發時機：用戶文件建立或更新時
+ *
+ * 客戶端可能寫入 zh_TW、zh-Hant、pt-BR 等寫法，這裡改寫為語言註冊表中的代碼，
+ * 讓聊天觸發器、快取鍵與各端點看到同一個值。原始值保留在 preferredLangRequested。
+ * 無法解析的值不改寫（讀取時 UserPreferenceService 會退回預設語言）。
+ */
+exports.normalizeUserLanguage = onDocumentWritten({
+  document: 'users/{userId}',
+  region: 'asia-east1',
+}, async (event) => {
+  const after = event.data && event.data.after;
+  if (!after || !after.exists) {
+    return null;
+  }
+
+  const { userId } = event.params;
+  const requested = after.data().preferredLang;
+  if (!requested || typeof requested !== 'string') {
+    return null;
+  }
+
+  const resolved = resolveLanguage(requested, 'translate');
+  if (!resolved) {
+    console.warn(`[UserLanguage] Unsupported preferredLang "${requested}" for user ${userId}, leaving as is`);
+    return null;
+  }
+
+  // 已是正規化的值（包含本觸發器自己寫入後的再次觸發）
+  if (resolved === requested) {
+    return null;
+  }
+
+  await after.ref.update({
+    preferredLang: resolved,
+    preferredLangRequested: requested,
+  });
+
+  console.log(`[UserLanguage] Normalized preferredLang for user ${userId}: ${requested} -> ${resolved}`);
+  return null;
+});
@@ -0,0 +1,167 @@
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { TRANSLATION_REGISTERS } = require('./userPreferenceService');
+const { isSupported, getSupportedCodes, resolveLanguage } = require('../utils/languages');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 預熱的目標語言（預設為可本地偵測的主要語言；不在語言註冊表中的代碼會被忽略）
+const WARMUP_LANGUAGES = (process.env.TRANSLATION_WARMUP_LANGS || getSupportedCodes('detect').join(','))
+  .split(',')
+  .map((lang) => lang.trim())
+  .filter((lang) => isSupported(lang, 'translate'));
+
+/**
+ * 翻譯快取預熱服務
+ *
+ * 把 warm_phrases 中的常用短句（例如「我到了」「你在哪裡？」）預先翻譯成每個目標語言，寫入 translation_cache
+ *
+ * 短句文件：warm_phrases/{phraseId}
+ * { text, sourceLang, enabled?, registers?: ['polite', ...] }
+ * registers 省略時只預熱不指定語氣的版本
+ *
+ * 每組（短句, 目標語言, 語氣）同時寫入 sourceLang 與 'auto' 兩個快取鍵，
+ * 讓指定來源語言的請求與自動偵測的 translate 端點都能命中
+ * 只有快取不存在、已過期，或建立超過 TRANSLATION_WARMUP_REFRESH_DAYS 天的組合才會重新翻譯
+ */
+class CacheWarmupService {
+  /**
+   * @param {import('./translationService').TranslationService} translationService
+   * @param {Object} [options]
+   * @param {Object} [options.cacheService] - 預設使用 translationService 的快取（TranslationCacheService）
+   */
+  constructor(translationService, options = {}) {
+    this.db = getFirestore();
+    this.collection = 'warm_phrases';
+    this.translationService = translationService;
+    this.cacheService = options.cacheService || translationService.getCacheService();
+    this.refreshDays = parseInt(process.env.TRANSLATION_WARMUP_REFRESH_DAYS || '25');
+    this.maxPairs = parseInt(process.env.TRANSLATION_WARMUP_MAX_PAIRS || '200');
+  }
+
+  /**
+   * 列出啟用中的短句（忽略不支援的語氣）
+   * sourceLang 與其他翻譯入口一樣以 resolveLanguage 正規化（例如 zh-tw、zh-Hant → zh-TW），
+   * 否則預熱的快取鍵與聊天觸發器查詢的鍵不同；無法解析的短句略過
+   * @returns {Promise<{id: string, text: string, sourceLang: string, registers: (string|null)[]}[]>}
+   */
+  async listPhrases() {
+    const snapshot = await this.db.collection(this.collection).get();
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((phrase) => phrase.enabled !== false && typeof phrase.text === 'string' && phrase.text.trim())
+      .map((phrase) => {
+        const sourceLang = resolveLanguage(phrase.sourceLang, 'translate');
+        if (!sourceLang) {
+          console.warn(`[CacheWarmup] Skipping phrase ${phrase.id}: unsupported sourceLang "${phrase.sourceLang}"`);
+          return null;
+        }
+
+        const registers = (Array.isArray(phrase.registers) ? phrase.registers : [])
+          .filter((register) => TRANSLATION_REGISTERS.includes(register));
+        return {
+          id: phrase.id,
+          text: phrase.text,
+          sourceLang,
+          registers: registers.length > 0 ? registers : [null],
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 判斷快取文件是否仍然新鮮（存在、未過期、且建立未超過 refreshDays 天）
+   * 核准的用戶修正存於 translation_overrides，查詢時優先於快取，預熱不會覆寫
+   * @param {Object|null} data - 快取文件資料
+   * @param {number} now - 目前時間（毫秒）
+   * @returns {boolean}
+   */
+  isFresh(data, now) {
+    if (!data || !data.createdAt || this.cacheService.isExpired(data, now)) {
+      return false;
+    }
+    return now - data.createdAt.toMillis() <= this.refreshDays * DAY_MS;
+  }
+
+  /**
+   * 預熱所有短句
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - 忽略新鮮度，全部重新翻譯
+   * @returns {Promise<{phrases: number, pairs: number, fresh: number, refreshed: number, failed: number, skipped: number}>}
+   *   skipped 為超過單次上限（TRANSLATION_WARMUP_MAX_PAIRS）而留到下一次的組合數
+   */
+  async run({ force = false } = {}) {
+    const now = Date.now();
+    const phrases = await this.listPhrases();
+    const summary = { phrases: phrases.length, pairs: 0, fresh: 0, refreshed: 0, failed: 0, skipped: 0 };
+
+    for (const phrase of phrases) {
+      const cacheSourceLangs = [...new Set([phrase.sourceLang, 'auto'])];
+      let phraseRefreshed = 0;
+
+      for (const targetLang of WARMUP_LANGUAGES) {
+        if (targetLang === phrase.sourceLang) {
+          continue;
+        }
+
+        for (const register of phrase.registers) {
+          summary.pairs++;
+          const glossary = await this.translationService.loadGlossary(phrase.text, targetLang, null);
+          const cacheOptions = { glossary, register, warmed: true };
+
+          if (!force) {
+            const entries = await Promise.all(cacheSourceLangs.map((sourceLang) => this.cacheService.peekEntry(
+              phrase.text,
+              targetLang,
+              this.translationService.getCacheKeyOptions(sourceLang, cacheOptions)
+            )));
+            if (entries.every((entry) => this.isFresh(entry, now))) {
+              summary.fresh++;
+              continue;
+            }
+          }
+
+          if (summary.refreshed + summary.failed >= this.maxPairs) {
+            summary.skipped++;
+            continue;
+          }
+
+          try {
+            const result = await this.translationService.translateWithProviders(
+              phrase.text,
+              phrase.sourceLang,
+              targetLang,
+              { glossary, register, context: [] }
+            );
+            let stored = false;
+            for (const sourceLang of cacheSourceLangs) {
+              stored = await this.translationService.storeCache(phrase.text, sourceLang, targetLang, result, cacheOptions);
+            }
+            // fallback provider 的譯文不寫入快取，留待下次預熱重試
+            if (!stored) {
+              summary.failed++;
+              continue;
+            }
+            summary.refreshed++;
+            phraseRefreshed++;
+          } catch (error) {
+            summary.failed++;
+            console.error(`[CacheWarmup] Failed to warm "${phrase.text}" -> ${targetLang}${register ? ` (${register})` : ''}:`, error.message);
+          }
+        }
+      }
+
+      if (phraseRefreshed > 0) {
+        await this.db.collection(this.collection).doc(phrase.id).update({
+          lastWarmedAt: FieldValue.serverTimestamp(),
+        });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  CacheWarmupService,
+  WARMUP_LANGUAGES,
+};
@@ -0,0 +1,162 @@
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+
+// 聊天室中代表成員的欄位與對應的角色
+const PARTICIPANT_FIELDS = [
+  { field: 'customerId', role: 'Customer' },
+  { field: 'driverId', role: 'Driver' },
+  { field: 'dispatcherId', role: 'Dispatcher' },
+  { field: 'supportAgentId', role: 'Support' },
+];
+
+/**
+ * 聊天室服務
+ * 讀取聊天室、成員與訊息資訊（chat_rooms/{roomId}）
+ *
+ * 成員來自 customerId、driverId、dispatcherId、supportAgentId，
+ * 以及 participantIds 陣列中的其他成員（多人聊天室）
+ */
+class ChatRoomService {
+  constructor() {
+    this.db = getFirestore();
+    this.roomsCollection = 'chat_rooms';
+
+    // 翻譯上下文視窗：前幾則訊息、最長回溯時間
+    this.contextSize = parseInt(process.env.CHAT_CONTEXT_MESSAGES || '5');
+    this.contextMaxAgeMinutes = parseInt(process.env.CHAT_CONTEXT_MAX_AGE_MINUTES || '30');
+    this.contextMaxLength = 200;
+  }
+
+  /**
+   * 讀取聊天室
+   * @param {string} roomId - 聊天室 ID
+   * @returns {Promise<Object|null>} - 聊天室資料或 null
+   */
+  async getRoom(roomId) {
+    const roomDoc = await this.db.collection(this.roomsCollection).doc(roomId).get();
+    return roomDoc.exists ? roomDoc.data() : null;
+  }
+
+  /**
+   * 列出聊天室的所有成員（同一用戶只列一次，以第一個符合的角色為準）
+   * @param {Object|null} roomData - 聊天室資料
+   * @returns {{userId: string, role: string}[]}
+   */
+  getParticipants(roomData) {
+    if (!roomData) {
+      return [];
+    }
+
+    const participants = new Map();
+    PARTICIPANT_FIELDS.forEach(({ field, role }) => {
+      const userId = roomData[field];
+      if (userId && typeof userId === 'string' && !participants.has(userId)) {
+        participants.set(userId, role);
+      }
+    });
+    (Array.isArray(roomData.participantIds) ? roomData.participantIds : []).forEach((userId) => {
+      if (userId && typeof userId === 'string' && !participants.has(userId)) {
+        participants.set(userId, 'Participant');
+      }
+    });
+
+    return [...participants].map(([userId, role]) => ({ userId, role }));
+  }
+
+  /**
+   * 檢查用戶是否為聊天室成員
+   * @param {Object} roomData - 聊天室資料
+   * @param {string} userId - 用戶 ID
+   * @returns {boolean}
+   */
+  isRoomMember(roomData, userId) {
+    return !!userId && this.getParticipants(roomData).some((participant) => participant.userId === userId);
+  }
+
+  /**
+   * 取得用戶在聊天室中的角色
+   * @param {Object|null} roomData - 聊天室資料
+   * @param {string} userId - 用戶 ID
+   * @returns {string} - 'Customer' | 'Driver' | 'Dispatcher' | 'Support' | 'Participant' | 'Other'
+   */
+  getSpeakerLabel(roomData, userId) {
+    const participant = this.getParticipants(roomData).find((item) => item.userId === userId);
+    return participant ? participant.role : 'Other';
+  }
+
+  /**
+   * 由伺服器代替成員發送訊息（同時更新聊天室的最後訊息與對方的未讀數）
+   * @param {string} roomId - 聊天室 ID
+   * @param {Object} roomData - 聊天室資料
+   * @param {Object} message - 訊息欄位（senderId、receiverId、messageText 等，createdAt 由伺服器填入）
+   * @returns {Promise<string>} - 訊息 ID
+   */
+  async createMessage(roomId, roomData, message) {
+    const roomRef = this.db.collection(this.roomsCollection).doc(roomId);
+    const messageRef = roomRef.collection('messages').doc();
+    const unreadField = message.senderId === roomData.driverId ? 'customerUnreadCount' : 'driverUnreadCount';
+
+    const batch = this.db.batch();
+    batch.set(messageRef, {
+      ...message,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    batch.update(roomRef, {
+      lastMessage: message.messageText,
+      lastMessageTime: FieldValue.serverTimestamp(),
+      [unreadField]: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    return messageRef.id;
+  }
+
+  /**
+   * 取得翻譯用的對話上下文（目標訊息之前的幾則訊息，依時間排序）
+   * @param {string} roomId - 聊天室 ID
+   * @param {string} messageId - 目標訊息 ID（不包含在上下文中）
+   * @param {Object} messageData - 目標訊息資料（使用 createdAt 決定時間範圍）
+   * @param {Object|null} [roomData] - 聊天室資料（用於標示發言者角色）
+   * @returns {Promise<{speaker: string, text: string}[]>}
+   */
+  async getConversationContext(roomId, messageId, messageData, roomData = null) {
+    if (this.contextSize <= 0) {
+      return [];
+    }
+
+    try {
+      const before = messageData.createdAt || Timestamp.now();
+      const cutoff = Timestamp.fromMillis(before.toMillis() - this.contextMaxAgeMinutes * 60 * 1000);
+
+      const snapshot = await this.db
+        .collection(this.roomsCollection)
+        .doc(roomId)
+        .collection('messages')
+        .where('createdAt', '<', before)
+        .where('createdAt', '>=', cutoff)
+        .orderBy('createdAt', 'desc')
+        .limit(this.contextSize + 1)
+        .get();
+
+      return snapshot.docs
+        .filter((doc) => doc.id !== messageId && doc.data().messageText)
+        .slice(0, this.contextSize)
+        .reverse()
+        .map((doc) => {
+          const data = doc.data();
+          return {
+            speaker: data.senderId === messageData.senderId
+              ? `${this.getSpeakerLabel(roomData, data.senderId)} (same sender)`
+              : this.getSpeakerLabel(roomData, data.senderId),
+            text: data.messageText.substring(0, this.contextMaxLength),
+          };
+        });
+    } catch (error) {
+      // 上下文讀取失敗不應影響翻譯功能
+      console.error('[ChatRoom] Failed to load conversation context:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = { ChatRoomService };
@@ -0,0 +1,78 @@
+const { ChatRoomService } = require('./chatRoomService');
+const { UserPreferenceService } = require('./userPreferenceService');
+const { resolveLanguage } = require('../utils/languages');
+
+// 客服對話 ID 的前綴（customer_service_chats/cs_<客戶 uid>）
+const CHAT_ID_PREFIX = 'cs_';
+
+/**
+ * 客服對話服務（customer_service_chats/{chatId}）
+ *
+ * 每個客戶只有一個對話，ID 為 cs_<客戶 uid>；客戶以外的發送者都視為客服人員。
+ * 客服人員透過 Web Admin 登入，不一定有 users/{uid} 文件，因此語言設定存在對話文件上：
+ * - customerLang：客戶看到的語言（預設為客戶的 preferredLang）
+ * - agentLang：客服人員看到的語言（預設 SUPPORT_AGENT_LANG，未設定為 zh-TW）
+ * 第一則訊息翻譯時寫入預設值，之後可由客戶或客服人員修改對話文件調整
+ */
+class CustomerServiceChatService extends ChatRoomService {
+  constructor() {
+    super();
+    this.roomsCollection = 'customer_service_chats';
+    this.defaultAgentLang = resolveLanguage(process.env.SUPPORT_AGENT_LANG, 'translate') || 'zh-TW';
+  }
+
+  /**
+   * 取得對話所屬的客戶
+   * @param {string} chatId - 對話 ID
+   * @param {Object|null} chatData - 對話資料
+   * @returns {string|null}
+   */
+  getCustomerId(chatId, chatData) {
+    if (chatData && chatData.customerId) {
+      return chatData.customerId;
+    }
+    return chatId.startsWith(CHAT_ID_PREFIX) ? chatId.slice(CHAT_ID_PREFIX.length) : null;
+  }
+
+  /**
+   * 客戶以外的發送者都是客服人員
+   * @param {Object|null} chatData - 對話資料
+   * @param {string} userId - 發送者 ID
+   * @returns {string} - 'Customer' | 'Support'
+   */
+  getSpeakerLabel(chatData, userId) {
+    return chatData && userId === chatData.customerId ? 'Customer' : 'Support';
+  }
+
+  /**
+   * 讀取對話的語言設定（尚未設定時以預設值補上並寫回對話文件）
+   * @param {string} chatId - 對話 ID
+   * @returns {Promise<{chatData: Object, customerId: string|null, customerLang: string, agentLang: string, customerRegister: string|null}>}
+   */
+  async getLanguageSettings(chatId) {
+    const chatRef = this.db.collection(this.roomsCollection).doc(chatId);
+    const chatDoc = await chatRef.get();
+    const chatData = chatDoc.exists ? chatDoc.data() : {};
+
+    const customerId = this.getCustomerId(chatId, chatData);
+    const preferences = await new UserPreferenceService().getPreferences(customerId);
+
+    const customerLang = resolveLanguage(chatData.customerLang, 'translate') || preferences.preferredLang;
+    const agentLang = resolveLanguage(chatData.agentLang, 'translate') || this.defaultAgentLang;
+
+    // 把設定（正規化後的值）寫回對話文件，客服後台可直接讀取與修改
+    if (chatData.customerLang !== customerLang || chatData.agentLang !== agentLang || (customerId && !chatData.customerId)) {
+      await chatRef.set({ customerId, customerLang, agentLang }, { merge: true });
+    }
+
+    return {
+      chatData: { ...chatData, customerId, customerLang, agentLang },
+      customerId,
+      customerLang,
+      agentLang,
+      customerRegister: preferences.translationRegister,
+    };
+  }
+}
+
+module.exports = { CustomerServiceChatService };
@@ -0,0 +1,220 @@
+const { getFirestore, FieldValue, FieldPath } = require('firebase-admin/firestore');
+const { LanguageDetectionService } = require('./languageDetectionService');
+const { UserPreferenceService } = require('./userPreferenceService');
+const { ChatRoomService } = require('./chatRoomService');
+const { resolveLanguage } = require('../utils/languages');
+
+/**
+ * 顯示翻譯服務（每位成員看到自己語言的譯文）
+ *
+ * 訊息欄位 viewerLangs：{ [userId]: lang }
+ * - lang 與訊息的來源語言相同時，該成員看原文（messageText）
+ * - 否則顯示 translations.{lang}
+ *
+ * translatedText 僅為舊版客戶端保留，不再代表任何成員應看到的內容
+ */
+class DisplayTranslationService {
+  constructor() {
+    this.db = getFirestore();
+    this.roomsCollection = 'chat_rooms';
+    this.detectionService = new LanguageDetectionService();
+  }
+
+  /**
+   * 取得訊息的來源語言
+   * @param {Object} messageData - 訊息資料
+   * @returns {string|null}
+   */
+  getSourceLang(messageData) {
+    return resolveLanguage(messageData.detectedLang, 'translate')
+      || resolveLanguage(messageData.lang, 'translate');
+  }
+
+  /**
+   * 建立訊息的 viewerLangs（發送者看原文，其他成員看自己的偏好語言）
+   * @param {Map<string, {preferredLang: string}>} preferences - 成員偏好（UserPreferenceService.getPreferencesForUsers）
+   * @param {string} senderId - 發送者 ID
+   * @param {string} sourceLang - 來源語言
+   * @returns {Object} - { [userId]: lang }
+   */
+  buildViewerLangs(preferences, senderId, sourceLang) {
+    const viewerLangs = {};
+    preferences.forEach(({ preferredLang }, userId) => {
+      viewerLangs[userId] = preferredLang;
+    });
+    if (senderId) {
+      viewerLangs[senderId] = sourceLang;
+    }
+    return viewerLangs;
+  }
+
+  /**
+   * 依成員偏好決定要翻譯的語言（每個不同的語言只翻譯一次）與各語言的語氣
+   * 同語言成員的語氣不一致時使用預設語氣（null）
+   * @param {Map<string, {preferredLang: string, translationRegister: string|null}>} preferences - 成員偏好（發送者除外）
+   * @param {string} sourceLang - 來源語言
+   * @returns {{targetLanguages: string[], registers: Object}} - registers 為 { [lang]: register }
+   */
+  groupTargetLanguages(preferences, sourceLang) {
+    const registersByLang = new Map();
+    preferences.forEach(({ preferredLang, translationRegister }) => {
+      if (preferredLang === sourceLang) {
+        return;
+      }
+      if (!registersByLang.has(preferredLang)) {
+        registersByLang.set(preferredLang, new Set());
+      }
+      registersByLang.get(preferredLang).add(translationRegister);
+    });
+
+    const targetLanguages = [];
+    const registers = {};
+    registersByLang.forEach((langRegisters, lang) => {
+      targetLanguages.push(lang);
+      registers[lang] = langRegisters.size === 1 ? [...langRegisters][0] : null;
+    });
+    return { targetLanguages, registers };
+  }
+
+  /**
+   * 選出舊版客戶端使用的 translatedText（優先順序：en > ja > 第一個可用的翻譯）
+   * @param {Object} translations - { [lang]: {text, ...} }
+   * @returns {string|null}
+   */
+  pickLegacyTranslatedText(translations) {
+    for (const lang of ['en', 'ja', ...Object.keys(translations)]) {
+      if (translations[lang] && translations[lang].text) {
+        return translations[lang].text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 決定某位成員應看到的文字
+   * @param {Object} messageData - 訊息資料
+   * @param {string} viewerLang - 成員的偏好語言
+   * @returns {{lang: string, text: string, original: boolean, translation: Object|null}|null}
+   *   需要翻譯但尚無譯文時回傳 null
+   */
+  resolveForViewer(messageData, viewerLang) {
+    const sourceLang = this.getSourceLang(messageData);
+    if (!messageData.messageText || sourceLang === viewerLang) {
+      return { lang: sourceLang || viewerLang, text: messageData.messageText || '', original: true, translation: null };
+    }
+
+    const translation = messageData.translations && messageData.translations[viewerLang];
+    if (translation && translation.text) {
+      return { lang: viewerLang, text: translation.text, original: false, translation };
+    }
+
+    return null;
+  }
+
+  /**
+   * 將舊訊息轉換為 viewerLangs 格式
+   *
+   * - 只有 translatedText、沒有對應 translations 的訊息：以本地規則判斷譯文語言，補上 translations.{lang}
+   * - 依聊天室成員目前的偏好語言寫入 viewerLangs
+   *
+   * @param {Object} messageData - 訊息資料
+   * @param {Map<string, {preferredLang: string}>} preferences - 成員偏好
+   * @returns {{updates: Object|null, legacyLang: string|null}} - updates 為 null 表示不需要更新
+   */
+  buildMigration(messageData, preferences) {
+    if (messageData.viewerLangs) {
+      return { updates: null, legacyLang: null };
+    }
+
+    const updates = {};
+    let legacyLang = null;
+    const translations = messageData.translations || {};
+    const legacyText = messageData.translatedText;
+    const alreadyStored = legacyText && Object.values(translations).some((translation) => translation && translation.text === legacyText);
+
+    if (legacyText && !alreadyStored) {
+      const detection = this.detectionService.detectByScript(legacyText);
+      if (detection.lang !== 'und' && !translations[detection.lang]) {
+        legacyLang = detection.lang;
+        updates[`translations.${legacyLang}`] = {
+          text: legacyText,
+          provider: 'legacy',
+          model: 'legacy',
+          at: messageData.translatedAt || messageData.createdAt || FieldValue.serverTimestamp(),
+        };
+      }
+    }
+
+    // 舊訊息可能沒有 detectedLang，以本地規則判斷原文語言
+    let sourceLang = this.getSourceLang(messageData);
+    if (!sourceLang && messageData.messageText) {
+      const detection = this.detectionService.detectByScript(messageData.messageText);
+      sourceLang = detection.lang !== 'und' ? detection.lang : null;
+    }
+    if (sourceLang) {
+      updates.viewerLangs = this.buildViewerLangs(preferences, messageData.senderId, sourceLang);
+    }
+
+    return { updates: Object.keys(updates).length > 0 ? updates : null, legacyLang };
+  }
+
+  /**
+   * 轉換單一聊天室的舊訊息（依文件 ID 分頁）
+   * @param {string} roomId - 聊天室 ID
+   * @param {Object} [options]
+   * @param {number} [options.pageSize] - 每頁讀取的訊息數（最多 500）
+   * @param {boolean} [options.dryRun] - 只統計，不寫入
+   * @returns {Promise<{scanned: number, migrated: number, legacyTranslations: number, skipped: number}>}
+   */
+  async migrateRoom(roomId, options = {}) {
+    const pageSize = Math.min(options.pageSize || 500, 500);
+    const roomRef = this.db.collection(this.roomsCollection).doc(roomId);
+    const roomDoc = await roomRef.get();
+    const roomData = roomDoc.exists ? roomDoc.data() : null;
+
+    const participantIds = new ChatRoomService().getParticipants(roomData).map((participant) => participant.userId);
+    const preferences = await new UserPreferenceService().getPreferencesForUsers(participantIds);
+
+    const summary = { scanned: 0, migrated: 0, legacyTranslations: 0, skipped: 0 };
+    const query = roomRef.collection('messages').orderBy(FieldPath.documentId()).limit(pageSize);
+
+    let lastDoc = null;
+    for (;;) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+      if (snapshot.empty) {
+        break;
+      }
+
+      const batch = this.db.batch();
+      let writes = 0;
+      snapshot.docs.forEach((doc) => {
+        summary.scanned++;
+        const { updates, legacyLang } = this.buildMigration(doc.data(), preferences);
+        if (!updates) {
+          summary.skipped++;
+          return;
+        }
+
+        summary.migrated++;
+        if (legacyLang) {
+          summary.legacyTranslations++;
+        }
+        batch.update(doc.ref, updates);
+        writes++;
+      });
+
+      if (!options.dryRun && writes > 0) {
+        await batch.commit();
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < pageSize) {
+        break;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = { DisplayTranslationService };
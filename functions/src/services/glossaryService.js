@@ -0,0 +1,314 @@
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const crypto = require('crypto');
+const { createPlaceholder } = require('../utils/placeholders');
+const { resolveLanguage } = require('../utils/languages');
+
+// 詞彙表記憶體快取（同一個 Function 實例內共用，避免每次翻譯都讀取 Firestore）
+const glossaryCache = new Map();
+
+/**
+ * 詞彙表服務
+ *
+ * 確保地名、飯店名、航廈編號與產品名詞在每種語言都以指定譯法呈現
+ *
+ * 資料結構：
+ * - 全域詞彙：translation_glossary/{termId}
+ * - 聊天室覆寫：chat_rooms/{roomId}/glossary/{termId}（同一 term 以聊天室設定為準）
+ *
+ * 文件欄位：{ term, aliases, translations: { [lang]: string }, caseSensitive }
+ */
+class GlossaryService {
+  constructor() {
+    this.db = getFirestore();
+    this.globalCollection = 'translation_glossary';
+    this.roomsCollection = 'chat_rooms';
+    this.cacheTTL = parseInt(process.env.GLOSSARY_CACHE_TTL || '60') * 1000;
+  }
+
+  /**
+   * 取得詞彙集合的參照
+   * @param {string|null} roomId - 聊天室 ID（null 表示全域詞彙）
+   */
+  getCollection(roomId) {
+    return roomId
+      ? this.db.collection(this.roomsCollection).doc(roomId).collection('glossary')
+      : this.db.collection(this.globalCollection);
+  }
+
+  /**
+   * 列出詞彙
+   * @param {string|null} roomId - 聊天室 ID（null 表示全域詞彙）
+   * @returns {Promise<Object[]>}
+   */
+  async listTerms(roomId = null) {
+    const snapshot = await this.getCollection(roomId).get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, scope: roomId ? 'room' : 'global', ...doc.data() }));
+  }
+
+  /**
+   * 取得合併後的詞彙表（全域 + 聊天室覆寫）
+   * @param {string|null} roomId - 聊天室 ID
+   * @returns {Promise<Object[]>}
+   */
+  async getGlossary(roomId = null) {
+    const cacheKey = roomId || '__global__';
+    const cached = glossaryCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+      return cached.entries;
+    }
+
+    const [globalTerms, roomTerms] = await Promise.all([
+      this.listTerms(null),
+      roomId ? this.listTerms(roomId) : Promise.resolve([]),
+    ]);
+
+    // 以正規化後的 term 合併，聊天室設定覆寫全域設定
+    const merged = new Map();
+    for (const entry of [...globalTerms, ...roomTerms]) {
+      merged.set(entry.term.trim().toLowerCase(), entry);
+    }
+
+    const entries = [...merged.values()];
+    glossaryCache.set(cacheKey, { entries, timestamp: Date.now() });
+    return entries;
+  }
+
+  /**
+   * 找出原文中出現、且有指定目標語言譯法的詞彙
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {string|null} roomId - 聊天室 ID
+   * @returns {Promise<{term: string, source: string, target: string, caseSensitive: boolean}[]>}
+   */
+  async getMatches(text, targetLang, roomId = null) {
+    const entries = await this.getGlossary(roomId);
+    return this.matchTerms(text, entries, targetLang);
+  }
+
+  /**
+   * 比對詞彙（同步版本）
+   * @param {string} text - 原文
+   * @param {Object[]} entries - 詞彙表
+   * @param {string} targetLang - 目標語言
+   */
+  matchTerms(text, entries, targetLang) {
+    const matches = [];
+
+    for (const entry of entries) {
+      const target = entry.translations && entry.translations[targetLang];
+      if (!target) continue;
+
+      const variants = [entry.term, ...(entry.aliases || [])].filter(Boolean);
+      for (const variant of variants) {
+        const found = text.match(this.buildTermPattern(variant, entry.caseSensitive));
+        if (found) {
+          matches.push({
+            term: entry.term,
+            source: found[0],
+            target,
+            caseSensitive: !!entry.caseSensitive,
+          });
+          break;
+        }
+      }
+    }
+
+    // 長詞優先，避免較短的詞彙先替換掉長詞的一部分
+    return matches.sort((a, b) => b.source.length - a.source.length);
+  }
+
+  /**
+   * 建立詞彙比對的正規表達式（拉丁字母詞彙需完整單字比對）
+   */
+  buildTermPattern(term, caseSensitive) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const startBoundary = /^[\p{Script=Latin}\p{N}]/u.test(term) ? '(?<![\\p{L}\\p{N}])' : '';
+    const endBoundary = /[\p{Script=Latin}\p{N}]$/u.test(term) ? '(?![\\p{L}\\p{N}])' : '';
+    return new RegExp(`${startBoundary}${escaped}${endBoundary}`, caseSensitive ? 'u' : 'iu');
+  }
+
+  /**
+   * 驗證譯文是否使用了指定譯法
+   * @param {string} translatedText - 譯文
+   * @param {Object[]} matches - getMatches 的結果
+   * @returns {Object[]} - 未依規定呈現的詞彙
+   */
+  findViolations(translatedText, matches) {
+    return matches.filter(({ target, caseSensitive }) => caseSensitive
+      ? !translatedText.includes(target)
+      : !translatedText.toLowerCase().includes(target.toLowerCase()));
+  }
+
+  /**
+   * 將原文中的詞彙替換為佔位符（強制模式）
+   * @param {string} text - 原文
+   * @param {Object[]} matches - getMatches 的結果
+   * @returns {{text: string, replacements: {token: string, value: string}[]}}
+   */
+  maskTerms(text, matches) {
+    let masked = text;
+    const replacements = [];
+
+    matches.forEach((match, index) => {
+      const token = createPlaceholder('G', index + 1);
+      const pattern = this.buildTermPattern(match.source, match.caseSensitive);
+      const global = new RegExp(pattern.source, `${pattern.flags}g`);
+      if (global.test(masked)) {
+        masked = masked.replace(global, token);
+        replacements.push({ token, value: match.target });
+      }
+    });
+
+    return { text: masked, replacements };
+  }
+
+  /**
+   * 產生詞彙比對結果的指紋（用於快取鍵，詞彙變更時自動失效）
+   * @param {Object[]} matches
+   * @returns {string} - 無比對詞彙時回傳空字串
+   */
+  fingerprint(matches) {
+    if (!matches || matches.length === 0) {
+      return '';
+    }
+    const input = matches
+      .map(({ source, target }) => `${source}=>${target}`)
+      .sort()
+      .join('|');
+    return crypto.createHash('sha256').update(input).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * 驗證詞彙輸入
+   * @param {Object} data - { term, aliases, translations, caseSensitive }
+   * @param {boolean} partial - 是否為部分更新
+   * @returns {string|null} - 錯誤訊息或 null
+   */
+  validateTerm(data, partial = false) {
+    if (!partial || data.term !== undefined) {
+      if (!data.term || typeof data.term !== 'string' || !data.term.trim()) {
+        return 'Missing or invalid "term" parameter';
+      }
+    }
+
+    if (!partial || data.translations !== undefined) {
+      if (!data.translations || typeof data.translations !== 'object' || Array.isArray(data.translations)) {
+        return 'Missing or invalid "translations" parameter';
+      }
+      const values = Object.values(data.translations);
+      if (values.length === 0 || values.some((value) => typeof value !== 'string' || !value.trim())) {
+        return '"translations" must map language codes to non-empty strings';
+      }
+
+      // 語言代碼必須是支援翻譯的語言（比對時以正規化後的代碼查詢，例如 zh_tw → zh-TW）
+      const unsupported = Object.keys(data.translations).filter((lang) => !resolveLanguage(lang, 'translate'));
+      if (unsupported.length > 0) {
+        return `Unsupported language code(s) in "translations": ${unsupported.join(', ')}`;
+      }
+      const resolved = Object.keys(data.translations).map((lang) => resolveLanguage(lang, 'translate'));
+      if (new Set(resolved).size !== resolved.length) {
+        return '"translations" contains duplicate language codes';
+      }
+    }
+
+    if (data.aliases !== undefined &&
+        (!Array.isArray(data.aliases) || data.aliases.some((alias) => typeof alias !== 'string'))) {
+      return '"aliases" must be an array of strings';
+    }
+
+    return null;
+  }
+
+  /**
+   * 將譯法的語言代碼正規化為語言註冊表的代碼（需先通過 validateTerm）
+   * @param {Object} translations - { [lang]: string }
+   * @returns {Object}
+   */
+  normalizeTranslations(translations) {
+    const normalized = {};
+    for (const [lang, value] of Object.entries(translations)) {
+      normalized[resolveLanguage(lang, 'translate')] = value.trim();
+    }
+    return normalized;
+  }
+
+  /**
+   * 新增詞彙
+   * @param {string|null} roomId - 聊天室 ID（null 表示全域詞彙）
+   * @param {Object} data - 詞彙資料
+   * @param {string} userId - 建立者
+   * @returns {Promise<Object>}
+   */
+  async createTerm(roomId, data, userId) {
+    const term = {
+      term: data.term.trim(),
+      aliases: data.aliases || [],
+      translations: this.normalizeTranslations(data.translations),
+      caseSensitive: !!data.caseSensitive,
+      createdBy: userId,
+    };
+
+    const ref = await this.getCollection(roomId).add({
+      ...term,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    this.invalidate(roomId);
+    return { id: ref.id, ...term };
+  }
+
+  /**
+   * 更新詞彙
+   * @returns {Promise<boolean>} - 詞彙不存在時回傳 false
+   */
+  async updateTerm(roomId, termId, data, userId) {
+    const ref = this.getCollection(roomId).doc(termId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return false;
+    }
+
+    const updates = {
+      updatedBy: userId,
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (data.term !== undefined) updates.term = data.term.trim();
+    if (data.aliases !== undefined) updates.aliases = data.aliases;
+    if (data.translations !== undefined) updates.translations = this.normalizeTranslations(data.translations);
+    if (data.caseSensitive !== undefined) updates.caseSensitive = !!data.caseSensitive;
+
+    await ref.update(updates);
+    this.invalidate(roomId);
+    return true;
+  }
+
+  /**
+   * 刪除詞彙
+   * @returns {Promise<boolean>} - 詞彙不存在時回傳 false
+   */
+  async deleteTerm(roomId, termId) {
+    const ref = this.getCollection(roomId).doc(termId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return false;
+    }
+
+    await ref.delete();
+    this.invalidate(roomId);
+    return true;
+  }
+
+  /**
+   * 清除本實例的詞彙快取
+   */
+  invalidate(roomId) {
+    if (roomId) {
+      glossaryCache.delete(roomId);
+    } else {
+      // 全域詞彙變更會影響所有聊天室
+      glossaryCache.clear();
+    }
+  }
+}
+
+module.exports = { GlossaryService };
@@ -0,0 +1,170 @@
+const OpenAI = require('openai');
+const { protectSpans } = require('../utils/protectedSpans');
+const { getSupportedCodes } = require('../utils/languages');
+
+// 可偵測的語言（語言註冊表中支援 detect 的語言）
+const DETECTABLE_LANGUAGES = getSupportedCodes('detect');
+
+// 拉丁字母語言的常用詞（用於區分英文、印尼文、馬來文）
+const STOPWORDS = {
+  en: ['the', 'is', 'are', 'you', 'i', 'to', 'and', 'where', 'please', 'thanks', 'thank', 'here', 'there', 'am', 'will', 'be', 'my', 'your', 'at', 'in', 'on', 'ok', 'min', 'minutes', 'wait', 'coming', 'arrived', 'sorry'],
+  id: ['saya', 'anda', 'tidak', 'sudah', 'yang', 'ini', 'itu', 'bisa', 'mau', 'terima', 'kasih', 'di', 'ke', 'mana', 'tunggu', 'sebentar', 'sampai', 'macet', 'bapak', 'ibu', 'mohon', 'belum'],
+  ms: ['saya', 'anda', 'tidak', 'sudah', 'boleh', 'awak', 'sila', 'kereta', 'sebentar', 'terima', 'kasih', 'di', 'ke', 'mana', 'tunggu', 'sampai', 'sesak', 'encik', 'cik', 'belum', 'nak', 'kat'],
+};
+
+// 越南文特有的字母與聲調符號
+const VIETNAMESE_PATTERN = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/iu;
+
+/**
+ * 語言偵測服務
+ *
+ * 1. 依文字系統判斷（假名 → ja、韓文 → ko、泰文 → th、漢字 → zh-TW、越南文聲調 → vi）
+ * 2. 拉丁字母以常用詞區分 en / id / ms
+ * 3. 信心不足且有 API 金鑰時，交由 OpenAI 判斷
+ */
+class LanguageDetectionService {
+  /**
+   * @param {string} [apiKey] - OpenAI API 金鑰（省略時只使用本地規則）
+   */
+  constructor(apiKey) {
+    this.openai = apiKey ? new OpenAI({ apiKey }) : null;
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.minConfidence = parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE || '0.6');
+  }
+
+  /**
+   * 偵測文字語言
+   * @param {string} text - 原文
+   * @returns {Promise<{lang: string, confidence: number, method: string}>}
+   *   lang 為 'und' 表示無法判斷（例如只有 emoji 或數字）
+   */
+  async detectLanguage(text) {
+    let result = this.detectByScript(text);
+
+    if (result.confidence < this.minConfidence && this.openai && result.lang !== 'und') {
+      try {
+        const aiResult = await this.detectWithOpenAI(text);
+        if (aiResult.confidence >= result.confidence) {
+          result = aiResult;
+        }
+      } catch (error) {
+        console.error('[LanguageDetection] OpenAI detection failed:', error.message);
+      }
+    }
+
+    const confidence = Math.round(result.confidence * 100) / 100;
+    console.log(`[LanguageDetection] Detected ${result.lang} (${confidence}) by ${result.method}`);
+    return { ...result, confidence };
+  }
+
+  /**
+   * 以文字系統與常用詞判斷語言（不呼叫外部 API）
+   * @param {string} text - 原文
+   * @returns {{lang: string, confidence: number, method: string}}
+   */
+  detectByScript(text) {
+    // 移除網址、電話、代碼、emoji 等與語言無關的片段
+    const { text: masked } = protectSpans(text);
+    const cleaned = masked.replace(/\[\[[A-Z]+\d+\]\]/g, ' ');
+
+    const counts = {
+      kana: (cleaned.match(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu) || []).length,
+      hangul: (cleaned.match(/\p{Script=Hangul}/gu) || []).length,
+      thai: (cleaned.match(/\p{Script=Thai}/gu) || []).length,
+      han: (cleaned.match(/\p{Script=Han}/gu) || []).length,
+      latin: (cleaned.match(/\p{Script=Latin}/gu) || []).length,
+    };
+    const total = counts.kana + counts.hangul + counts.thai + counts.han + counts.latin;
+
+    if (total === 0) {
+      return { lang: 'und', confidence: 0, method: 'script' };
+    }
+
+    const ratio = (count) => count / total;
+
+    if (counts.kana > 0 && ratio(counts.kana + counts.han) >= 0.5) {
+      return { lang: 'ja', confidence: Math.min(0.99, 0.7 + ratio(counts.kana + counts.han) * 0.3), method: 'script' };
+    }
+    if (ratio(counts.hangul) >= 0.5) {
+      return { lang: 'ko', confidence: Math.min(0.99, 0.7 + ratio(counts.hangul) * 0.3), method: 'script' };
+    }
+    if (ratio(counts.thai) >= 0.5) {
+      return { lang: 'th', confidence: Math.min(0.99, 0.7 + ratio(counts.thai) * 0.3), method: 'script' };
+    }
+    if (ratio(counts.han) >= 0.5) {
+      return { lang: 'zh-TW', confidence: Math.min(0.95, 0.6 + ratio(counts.han) * 0.35), method: 'script' };
+    }
+
+    return this.detectLatin(cleaned);
+  }
+
+  /**
+   * 拉丁字母語言判斷
+   */
+  detectLatin(text) {
+    if (VIETNAMESE_PATTERN.test(text)) {
+      return { lang: 'vi', confidence: 0.9, method: 'script' };
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length === 0) {
+      return { lang: 'und', confidence: 0, method: 'script' };
+    }
+
+    const scores = {};
+    for (const [lang, stopwords] of Object.entries(STOPWORDS)) {
+      scores[lang] = words.filter((word) => stopwords.includes(word)).length;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLang, bestScore] = ranked[0];
+    const secondScore = ranked[1][1];
+
+    if (bestScore === 0) {
+      // 沒有任何常用詞：預設為英文，信心偏低
+      return { lang: 'en', confidence: 0.4, method: 'stopwords' };
+    }
+
+    // 依命中比例與領先幅度估算信心
+    const coverage = bestScore / words.length;
+    const margin = (bestScore - secondScore) / bestScore;
+    const confidence = Math.min(0.95, 0.3 + coverage * 0.25 + margin * 0.4);
+
+    return { lang: bestLang, confidence, method: 'stopwords' };
+  }
+
+  /**
+   * 使用 OpenAI 判斷語言
+   * @param {string} text - 原文
+   * @returns {Promise<{lang: string, confidence: number, method: string}>}
+   */
+  async detectWithOpenAI(text) {
+    const response = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: `Identify the language of the user's message. Reply with JSON only: {"lang": "<code>", "confidence": <0-1>}. Use one of these codes: ${DETECTABLE_LANGUAGES.join(', ')}. Use "und" if the language is none of them or cannot be determined.`,
+        },
+        {
+          role: 'user',
+          content: text,
+        },
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 30,
+      temperature: 0,
+    });
+
+    const parsed = JSON.parse(response.choices[0].message.content);
+    const lang = DETECTABLE_LANGUAGES.includes(parsed.lang) ? parsed.lang : 'und';
+    const confidence = lang === 'und' ? 0 : Math.max(0, Math.min(1, Number(parsed.confidence) || 0));
+
+    return { lang, confidence, method: 'openai' };
+  }
+}
+
+module.exports = {
+  LanguageDetectionService,
+  DETECTABLE_LANGUAGES,
+};
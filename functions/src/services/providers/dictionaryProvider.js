@@ -0,0 +1,62 @@
+const phraseDictionary = require('./phraseDictionary');
+
+/**
+ * 本地詞典翻譯 Provider
+ *
+ * 只處理詞典內的常用短句，不呼叫任何外部 API
+ * 查無對應時回傳 null，交由 fallback 鏈中的下一個 provider 處理
+ */
+class DictionaryProvider {
+  /**
+   * @param {Object[]} [phrases] - 詞典（預設使用內建常用語）
+   */
+  constructor(phrases = phraseDictionary) {
+    this.name = 'dictionary';
+    this.model = 'phrase-dictionary';
+    this.phrases = phrases;
+  }
+
+  /**
+   * 正規化短句（忽略大小寫、前後空白與句尾標點）
+   * @param {string} text - 原文
+   * @returns {string}
+   */
+  normalize(text) {
+    return text
+      .trim()
+      .toLowerCase()
+      .replace(/[\s.,!?。，！？、~～]+$/u, '')
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * 查詢詞典
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言（'auto' 表示比對所有語言）
+   * @param {string} targetLang - 目標語言
+   * @returns {Promise<{text: string, model: string, tokensUsed: number, duration: number}|null>}
+   */
+  async translate(text, sourceLang, targetLang) {
+    const normalized = this.normalize(text);
+
+    const entry = this.phrases.find((phrase) => {
+      const candidates = sourceLang === 'auto' ? Object.values(phrase) : [phrase[sourceLang]];
+      return candidates.some((candidate) => candidate && this.normalize(candidate) === normalized);
+    });
+
+    if (!entry || !entry[targetLang]) {
+      return null;
+    }
+
+    console.log(`[Translation] Dictionary hit for ${targetLang}`);
+
+    return {
+      text: entry[targetLang],
+      model: this.model,
+      tokensUsed: 0,
+      duration: 0,
+    };
+  }
+}
+
+module.exports = { DictionaryProvider };
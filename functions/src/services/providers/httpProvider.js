@@ -0,0 +1,99 @@
+/**
+ * 通用 HTTP 翻譯 Provider
+ *
+ * 將翻譯請求轉送到自訂的翻譯服務（例如自架模型或第三方 API 的轉接層）
+ *
+ * 請求：POST {url}  { text, sourceLang, targetLang, register, glossary: [{ source, target }], context: [{ speaker, text }] }
+ * 回應：{ translatedText, model? }
+ */
+class HttpProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - 翻譯服務網址
+   * @param {string} [options.apiKey] - 以 Bearer Token 傳送的金鑰
+   * @param {number} [options.timeoutMs] - 請求逾時（毫秒）
+   */
+  constructor({ url, apiKey, timeoutMs }) {
+    if (!url) {
+      throw new Error('HTTP translation provider URL is required');
+    }
+
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs || 15000;
+    this.model = process.env.TRANSLATION_HTTP_MODEL || 'http';
+  }
+
+  /**
+   * 呼叫外部翻譯服務
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options]
+   * @param {Object[]} [options.glossary] - 必須遵守的詞彙譯法
+   * @param {Object[]} [options.context] - 對話上下文（只供參考）
+   * @param {string|null} [options.register] - 語氣
+   * @returns {Promise<{text: string, model: string, tokensUsed: number, duration: number}>}
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          text,
+          sourceLang,
+          targetLang,
+          register: options.register || null,
+          glossary: (options.glossary || []).map(({ source, target }) => ({ source, target })),
+          context: options.context || [],
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP translation provider responded with ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      const translatedText = data.translatedText || data.text;
+
+      if (!translatedText || typeof translatedText !== 'string') {
+        throw new Error('HTTP translation provider returned no translated text');
+      }
+
+      const duration = Date.now() - startTime;
+      console.log(`[Translation] HTTP provider translated to ${targetLang} in ${duration}ms`);
+
+      return {
+        text: translatedText.trim(),
+        model: data.model || this.model,
+        tokensUsed: data.tokensUsed || 0,
+        duration,
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`HTTP translation provider timed out after ${this.timeoutMs}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = { HttpProvider };
@@ -0,0 +1,80 @@
+/**
+ * 翻譯 Provider 註冊表
+ *
+ * 每個 provider 需實作：
+ * - name: string
+ * - model: string
+ * - promptVersion?: string（prompt 版本；與 model 一起構成快取鍵，變更時舊快取自動失效）
+ * - translate(text, sourceLang, targetLang, options): Promise<{text, model, tokensUsed, duration} | null>
+ *   回傳 null 表示此 provider 無法處理，交由下一個 provider
+ *   options.glossary 為必須遵守的詞彙譯法（由 TranslationService 另行驗證）
+ *   options.context 為對話上下文（只供理解語意，不可翻譯進輸出）
+ *   options.register 為語氣（casual / polite / honorific）
+ *
+ * fallback 順序由環境變數 TRANSLATION_PROVIDERS 設定（逗號分隔，依序嘗試）
+ * 例如：TRANSLATION_PROVIDERS=openai,http,dictionary
+ */
+
+const { OpenAIProvider } = require('./openaiProvider');
+const { DictionaryProvider } = require('./dictionaryProvider');
+const { HttpProvider } = require('./httpProvider');
+
+const DEFAULT_PROVIDER_CHAIN = 'openai,dictionary';
+
+/**
+ * 建立單一 provider
+ * @param {string} name - provider 名稱
+ * @param {Object} config
+ * @param {string} [config.apiKey] - OpenAI API 金鑰
+ * @returns {Object|null}
+ */
+function createProvider(name, { apiKey }) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider(apiKey);
+    case 'dictionary':
+      return new DictionaryProvider();
+    case 'http':
+      if (!process.env.TRANSLATION_HTTP_URL) {
+        console.warn('[Translation] TRANSLATION_HTTP_URL is not set, skipping http provider');
+        return null;
+      }
+      return new HttpProvider({
+        url: process.env.TRANSLATION_HTTP_URL,
+        apiKey: process.env.TRANSLATION_HTTP_API_KEY,
+        timeoutMs: parseInt(process.env.TRANSLATION_HTTP_TIMEOUT_MS || '15000'),
+      });
+    default:
+      console.warn(`[Translation] Unknown translation provider "${name}", skipping`);
+      return null;
+  }
+}
+
+/**
+ * 依部署設定建立 provider fallback 鏈
+ * @param {Object} config
+ * @param {string} [config.apiKey] - OpenAI API 金鑰
+ * @param {string} [config.chain] - 逗號分隔的 provider 名稱（預設讀取 TRANSLATION_PROVIDERS）
+ * @returns {Object[]}
+ */
+function createProviderChain({ apiKey, chain } = {}) {
+  const names = (chain || process.env.TRANSLATION_PROVIDERS || DEFAULT_PROVIDER_CHAIN)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names
+    .map((name) => createProvider(name, { apiKey }))
+    .filter(Boolean);
+
+  if (providers.length === 0) {
+    throw new Error('No translation providers configured');
+  }
+
+  return providers;
+}
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+};
@@ -0,0 +1,345 @@
+const OpenAI = require('openai');
+const { hasPlaceholders } = require('../../utils/placeholders');
+const { getPromptName } = require('../../utils/languages');
+
+// Prompt 版本（修改 buildMessages / buildConstraints 的內容時必須遞增，舊版本的快取會自動失效）
+const PROMPT_VERSION = 'native-v3';
+
+// 語氣指示（日文、韓文的敬語層級差異最明顯，特別說明）
+const REGISTER_INSTRUCTIONS = {
+  casual: 'Use a CASUAL, friendly register as between acquaintances. Japanese: plain form (タメ口), no です/ます. Korean: 반말 or relaxed 해요체 endings. Other languages: relaxed everyday wording.',
+  polite: 'Use a POLITE, neutral service register. Japanese: です/ます form without heavy keigo. Korean: 해요체 (-아요/-어요). Other languages: courteous standard wording.',
+  honorific: 'Use an HONORIFIC, highly respectful register as a professional driver addressing a valued customer. Japanese: full keigo (尊敬語/謙譲語, e.g. いらっしゃいます, 参ります). Korean: 하십시오체 (-습니다/-십시오) with honorific -시-. Other languages: the most formal respectful wording.',
+};
+
+/**
+ * OpenAI 翻譯 Provider
+ *
+ * 使用 Chat Completions API 執行母語化翻譯
+ */
+class OpenAIProvider {
+  /**
+   * @param {string} apiKey - OpenAI API 金鑰（從 Secret Manager 傳入）
+   */
+  constructor(apiKey) {
+    if (!apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    this.name = 'openai';
+    this.openai = new OpenAI({
+      apiKey: apiKey,
+    });
+
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.promptVersion = PROMPT_VERSION;
+    this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS || '500');
+    // 提高 temperature 以獲得更自然、更有創造性的翻譯
+    this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE || '0.7');
+  }
+
+  /**
+   * 使用 OpenAI API 翻譯
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言（ISO 碼，可使用 'auto' 自動偵測）
+   * @param {string} targetLang - 目標語言（ISO 碼）
+   * @param {Object} [options]
+   * @param {Object[]} [options.glossary] - 必須遵守的詞彙譯法
+   * @param {Object[]} [options.glossaryViolations] - 上一次翻譯未遵守的詞彙
+   * @param {{speaker: string, text: string}[]} [options.context] - 對話上下文（只供參考）
+   * @param {string|null} [options.register] - 語氣：casual | polite | honorific
+   * @returns {Promise<{text: string, model: string, tokensUsed: number, duration: number}>}
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const messages = this.buildMessages(text, sourceLang, targetLang, options);
+    const startTime = Date.now();
+
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: this.model,
+        messages,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+      });
+
+      const duration = Date.now() - startTime;
+      const translatedText = response.choices[0].message.content.trim();
+
+      console.log(`[Translation] Translated to ${targetLang} in ${duration}ms`);
+      console.log(`[Translation] Tokens used: ${response.usage.total_tokens}`);
+
+      return {
+        text: translatedText,
+        model: this.model,
+        tokensUsed: response.usage.total_tokens,
+        duration,
+      };
+
+    } catch (error) {
+      throw this.toProviderError(error, Date.now() - startTime);
+    }
+  }
+
+  /**
+   * 使用 OpenAI API 串流翻譯（逐段回傳譯文）
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options] - 與 translate 相同
+   * @param {function(string): void} onDelta - 收到新的譯文片段時呼叫
+   * @returns {Promise<{text: string, model: string, tokensUsed: number, duration: number}>}
+   */
+  async translateStream(text, sourceLang, targetLang, options = {}, onDelta) {
+    const messages = this.buildMessages(text, sourceLang, targetLang, options);
+    const startTime = Date.now();
+
+    try {
+      const stream = await this.openai.chat.completions.create({
+        model: this.model,
+        messages,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      let translatedText = '';
+      let tokensUsed = 0;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+        if (delta) {
+          translatedText += delta;
+          onDelta(delta);
+        }
+        if (chunk.usage) {
+          tokensUsed = chunk.usage.total_tokens;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      console.log(`[Translation] Streamed translation to ${targetLang} in ${duration}ms`);
+      console.log(`[Translation] Tokens used: ${tokensUsed}`);
+
+      return {
+        text: translatedText.trim(),
+        model: this.model,
+        tokensUsed,
+        duration,
+      };
+
+    } catch (error) {
+      throw this.toProviderError(error, Date.now() - startTime);
+    }
+  }
+
+  /**
+   * 組合 Chat Completions 的訊息（system 角色設定 + 翻譯 prompt）
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {Object} options - translate 的選項
+   * @returns {Object[]}
+   */
+  buildMessages(text, sourceLang, targetLang, options) {
+    const targetLangName = getPromptName(targetLang);
+    const sourceLangName = sourceLang === 'auto'
+      ? 'the source language (auto-detect)'
+      : getPromptName(sourceLang);
+
+    // ✅ 修改 prompt：要求自然母語表達，而非逐字直譯
+    // 如果來源語言是 'auto'，讓 OpenAI 自動偵測
+    const fromClause = sourceLang === 'auto'
+      ? `Translate the following text to ${targetLangName}`
+      : `Translate the following text from ${sourceLangName} to ${targetLangName}`;
+
+    const prompt = `🎯 TRANSLATION TASK: ${fromClause}
+
+⚠️ CRITICAL REQUIREMENT: Translate for CULTURAL EQUIVALENCE and NATURAL EXPRESSION, NOT literal word-for-word conversion.
+
+🚨 ABSOLUTE PROHIBITIONS:
+1. 🚫 DO NOT translate literally or word-for-word
+2. 🚫 DO NOT use unnatural expressions that native speakers don't use
+3. 🚫 DO NOT ignore cultural context
+
+✅ MANDATORY REQUIREMENTS:
+1. ✅ Use EXACT expressions that native ${targetLangName} speakers use in daily conversation
+2. ✅ For greetings/celebrations/idioms/social expressions → Find the CULTURAL EQUIVALENT
+3. ✅ Output must sound EXACTLY like a native speaker wrote it
+4. ✅ Natural expression > Literal accuracy (ALWAYS prioritize naturalness)
+
+🎯 TRANSLATION PROCESS:
+1. Identify the COMMUNICATIVE INTENT and CULTURAL CONTEXT
+2. Ask yourself: "What would a native ${targetLangName} speaker say in this exact situation?"
+3. Use that natural expression (even if completely different from source words)
+
+📋 QUICK REFERENCE EXAMPLES:
+
+Chinese → Japanese:
+- "新年快樂" → "あけましておめでとうございます" (NOT "新年おめでとうございます")
+- "謝謝" → "ありがとうございます" (NOT "感謝します")
+- "吃飽了嗎？" → "お元気ですか？" (translate the FUNCTION, not the words)
+
+English → Chinese:
+- "How are you?" → "你好嗎？" or "最近怎麼樣？" (NOT "你怎麼樣？")
+
+⚠️ QUALITY CHECK: Before submitting, ask yourself:
+- "Would a native ${targetLangName} speaker actually say this?"
+- "Does this sound natural, or does it sound like a translation?"
+- If it sounds like a translation → REVISE until it sounds natural
+
+${this.buildConstraints(text, options)}📤 OUTPUT FORMAT: Return ONLY the translated text. No explanations, notes, quotation marks, or additional content.
+
+📝 TEXT TO TRANSLATE:
+${text}`;
+
+    return [
+      {
+        role: 'system',
+        // ✅ 專業翻譯官人格設定：20 年經驗的同聲傳譯專家
+        content: `🎯 ROLE: You are a world-renowned simultaneous interpreter with 20+ years of experience in cultural equivalence translation. Your expertise is making translations sound EXACTLY like a native speaker wrote them, not like a translation.
+
+🚨 CRITICAL MISSION: Your translations must be INDISTINGUISHABLE from text written by a native speaker of the target language. Literal translations are considered FAILURES.
+
+⚠️ ABSOLUTE PROHIBITIONS (NEVER DO THESE):
+1. 🚫 FORBIDDEN: Word-for-word (literal) translation
+2. 🚫 FORBIDDEN: Grammatically correct but unnatural expressions that "no one actually says"
+3. 🚫 FORBIDDEN: Ignoring cultural differences in mechanical conversion
+4. 🚫 FORBIDDEN: Using dictionary translations for idioms, greetings, or social expressions
+
+✅ MANDATORY REQUIREMENTS (ALWAYS DO THESE):
+1. ✅ REQUIRED: For idioms, slang, greetings, social expressions → Use the FUNCTIONAL EQUIVALENT in target language
+2. ✅ REQUIRED: Consider cultural background and linguistic habits of target language
+3. ✅ REQUIRED: Ensure output sounds like natural native speaker expression
+4. ✅ REQUIRED: Prioritize NATURAL EXPRESSION over literal accuracy (100% of the time)
+5. ✅ REQUIRED: Think "What would a native speaker say in this exact situation?"
+
+🔴 CRITICAL EXAMPLES - MASTER THESE PATTERNS:
+
+Example 1: Chinese New Year Greeting → Japanese
+- Input: "新年快樂"
+- ❌ FORBIDDEN (literal): "新年おめでとうございます"
+- ✅ REQUIRED (natural): "あけましておめでとうございます"
+- Reason: Japanese culture uses "あけましておめでとうございます" for New Year greetings, NOT the literal translation
+
+Example 2: Chinese Thanks → Japanese
+- Input: "謝謝"
+- ❌ FORBIDDEN (literal): "感謝します"
+- ✅ REQUIRED (natural): "ありがとうございます"
+- Reason: "ありがとうございます" is the natural, everyday expression Japanese people use
+
+Example 3: English Greeting → Chinese
+- Input: "How are you?"
+- ❌ FORBIDDEN (literal): "你怎麼樣？"
+- ✅ REQUIRED (natural): "你好嗎？" or "最近怎麼樣？"
+- Reason: Chinese speakers use these natural greetings, not the literal translation
+
+Example 4: Chinese Casual Greeting → Japanese
+- Input: "吃飽了嗎？" (Have you eaten?)
+- ❌ FORBIDDEN (literal): "食べましたか？"
+- ✅ REQUIRED (natural): "お元気ですか？" or "調子はどうですか？"
+- Reason: This is a cultural greeting in Chinese; translate the FUNCTION (checking on someone), not the words
+
+🎯 PROFESSIONAL TRANSLATION PROCESS:
+1. ANALYZE: Identify the COMMUNICATIVE INTENT and CULTURAL CONTEXT (not just words)
+2. THINK: "What would a native speaker of [target language] say in this exact situation?"
+3. TRANSLATE: Use that natural expression (even if completely different from source words)
+4. VERIFY: Does this sound like something a native speaker would actually say? If NO → revise
+
+🏆 QUALITY STANDARD: Your translation should pass the "Native Speaker Test":
+- If a native speaker reads your translation, they should think it was originally written in their language
+- If it sounds like a translation, you have FAILED
+
+REMEMBER: You are a cultural bridge, not a dictionary. Translate MEANING and FUNCTION, not words.`,
+      },
+      {
+        role: 'user',
+        content: prompt,
+      },
+    ];
+  }
+
+  /**
+   * 將 OpenAI 錯誤轉為 provider 錯誤（保留 HTTP 狀態碼與錯誤代碼）
+   * @param {Error} error - OpenAI SDK 拋出的錯誤
+   * @param {number} duration - 已耗費的時間（毫秒）
+   * @returns {Error}
+   */
+  toProviderError(error, duration) {
+    // 詳細的錯誤日誌 - 記錄完整的錯誤對象
+    console.error(`[Translation] Error after ${duration}ms:`, {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      type: error.type,
+      name: error.name,
+      // 記錄完整的錯誤對象以便診斷
+      fullError: JSON.stringify(error, Object.getOwnPropertyNames(error)),
+    });
+
+    // 分類錯誤並提供清晰的訊息
+    let errorMessage = 'Unknown error';
+
+    if (error.status === 429) {
+      errorMessage = 'OpenAI API quota exceeded. Please check billing at https://platform.openai.com/account/billing';
+    } else if (error.status === 401 || error.status === 403) {
+      errorMessage = 'OpenAI API authentication failed. Please check API key.';
+    } else if (error.status === 503 || error.status === 500) {
+      errorMessage = 'OpenAI API is temporarily unavailable. Please retry later.';
+    } else if (error.code === 'ENOTFOUND') {
+      errorMessage = 'DNS resolution failed. Check network connectivity.';
+    } else if (error.code === 'ECONNREFUSED') {
+      errorMessage = 'Connection refused. OpenAI API may be down.';
+    } else if (error.code === 'ETIMEDOUT') {
+      errorMessage = 'Request timeout. Network may be slow.';
+    } else {
+      errorMessage = `OpenAI API error: ${error.message}`;
+    }
+
+    // 保留 HTTP 狀態碼與錯誤代碼，讓 TranslationService 判斷是否重試或切換 provider
+    const providerError = new Error(errorMessage);
+    providerError.status = error.status;
+    providerError.code = error.code;
+    return providerError;
+  }
+
+  /**
+   * 組合額外的翻譯限制（語氣、對話上下文、詞彙表、佔位符）
+   * @param {string} text - 原文
+   * @param {Object} options - translate 的選項
+   * @returns {string} - 插入 prompt 的段落（無限制時為空字串）
+   */
+  buildConstraints(text, options) {
+    const sections = [];
+    const glossary = options.glossary || [];
+    const context = options.context || [];
+
+    if (options.register) {
+      sections.push(`🎚️ REGISTER (MANDATORY): ${REGISTER_INSTRUCTIONS[options.register]}`);
+    }
+
+    if (context.length > 0) {
+      const lines = context.map(({ speaker, text: contextText }) => `- ${speaker}: ${contextText}`).join('\n');
+      sections.push(`💬 CONVERSATION CONTEXT (earlier messages in this ride chat, for understanding ONLY — DO NOT translate or include them in your output):\n${lines}`);
+    }
+
+    if (glossary.length > 0) {
+      const lines = glossary.map(({ source, target }) => `- "${source}" → "${target}"`).join('\n');
+      sections.push(`📘 GLOSSARY (MANDATORY): Render these terms EXACTLY as written below, never paraphrase or translate them differently:\n${lines}`);
+    }
+
+    const violations = options.glossaryViolations || [];
+    if (violations.length > 0) {
+      const lines = violations.map(({ source, target }) => `- "${source}" MUST appear as "${target}"`).join('\n');
+      sections.push(`❗ YOUR PREVIOUS TRANSLATION IGNORED THE GLOSSARY. Fix these terms:\n${lines}`);
+    }
+
+    if (hasPlaceholders(text)) {
+      sections.push('🔒 PLACEHOLDERS: Tokens like [[P1]] or [[G1]] are placeholders for phone numbers, URLs, codes, emoji and glossary terms. Keep every placeholder EXACTLY as-is (same brackets, letters and number) and place it where it belongs grammatically.');
+    }
+
+    return sections.length > 0 ? `${sections.join('\n\n')}\n\n` : '';
+  }
+}
+
+module.exports = { OpenAIProvider, PROMPT_VERSION };
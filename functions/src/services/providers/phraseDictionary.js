@@ -0,0 +1,88 @@
+/**
+ * 本地常用語詞典
+ *
+ * 每一組為同一句話在各語言中的慣用說法（司機與乘客最常交換的短句）
+ * DictionaryProvider 會以任一語言的說法比對原文，再回傳目標語言的說法
+ */
+module.exports = [
+  {
+    'zh-TW': '我到了',
+    'en': 'I have arrived',
+    'ja': '到着しました',
+    'ko': '도착했습니다',
+    'th': 'ถึงแล้ว',
+    'vi': 'Tôi đã đến nơi',
+    'id': 'Saya sudah sampai',
+    'ms': 'Saya sudah sampai',
+  },
+  {
+    'zh-TW': '你在哪裡？',
+    'en': 'Where are you?',
+    'ja': 'どちらにいらっしゃいますか？',
+    'ko': '어디에 계세요?',
+    'th': 'คุณอยู่ที่ไหน',
+    'vi': 'Bạn đang ở đâu?',
+    'id': 'Anda di mana?',
+    'ms': 'Anda di mana?',
+  },
+  {
+    'zh-TW': '路上塞車',
+    'en': 'Traffic is heavy',
+    'ja': '道が混んでいます',
+    'ko': '길이 많이 막혀요',
+    'th': 'รถติดมาก',
+    'vi': 'Đường đang kẹt xe',
+    'id': 'Jalanan macet',
+    'ms': 'Jalan sesak',
+  },
+  {
+    'zh-TW': '我馬上到',
+    'en': 'I will be there soon',
+    'ja': 'すぐに着きます',
+    'ko': '곧 도착합니다',
+    'th': 'กำลังจะถึงแล้ว',
+    'vi': 'Tôi sắp đến rồi',
+    'id': 'Saya segera sampai',
+    'ms': 'Saya akan sampai sebentar lagi',
+  },
+  {
+    'zh-TW': '請稍等',
+    'en': 'Please wait a moment',
+    'ja': '少々お待ちください',
+    'ko': '잠시만 기다려 주세요',
+    'th': 'กรุณารอสักครู่',
+    'vi': 'Vui lòng đợi một chút',
+    'id': 'Mohon tunggu sebentar',
+    'ms': 'Sila tunggu sebentar',
+  },
+  {
+    'zh-TW': '謝謝',
+    'en': 'Thank you',
+    'ja': 'ありがとうございます',
+    'ko': '감사합니다',
+    'th': 'ขอบคุณ',
+    'vi': 'Cảm ơn',
+    'id': 'Terima kasih',
+    'ms': 'Terima kasih',
+  },
+  {
+    'zh-TW': '好的',
+    'en': 'OK',
+    'ja': '承知しました',
+    'ko': '알겠습니다',
+    'th': 'ได้เลย',
+    'vi': 'Vâng',
+    'id': 'Baik',
+    'ms': 'Baik',
+  },
+  {
+    'zh-TW': '我在門口等你',
+    'en': 'I am waiting for you at the entrance',
+    'ja': '入口でお待ちしています',
+    'ko': '입구에서 기다리고 있습니다',
+    'th': 'รออยู่ที่ทางเข้า',
+    'vi': 'Tôi đang đợi bạn ở lối vào',
+    'id': 'Saya menunggu Anda di pintu masuk',
+    'ms': 'Saya menunggu anda di pintu masuk',
+  },
+];
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/**
+ * 錄製回應 Provider（離線回歸測試用）
+ *
+ * 回放模式：依（來源語言, 目標語言, 語氣, 原文）與完整請求訊息的 hash 查詢錄製好的譯文，不呼叫任何外部 API
+ * 錄製模式：轉呼叫上游 provider（例如 OpenAI），並把回應存入 recordings
+ *
+ * 錄製格式：[{ sourceLang, targetLang, register, text, translation, model, promptVersion, requestHash }]
+ * - text 為 provider 實際收到的文字（受保護片段已替換為佔位符）
+ * - requestHash 為送給模型的完整訊息（system prompt、上下文、詞彙指示、語氣）的 SHA256
+ *
+ * 修改 prompt 後 requestHash 會改變，回放時以 RECORDING_STALE 失敗，
+ * 必須以 npm run regression:record 重新錄製，不會拿舊 prompt 的回應當作通過
+ */
+class RecordedProvider {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.recordings] - 錄製資料
+   * @param {Object} [options.upstream] - 錄製模式使用的上游 provider（省略時為回放模式）
+   * @param {Object} [options.promptBuilder] - 提供 buildMessages / promptVersion 的 provider（回放模式用來計算請求 hash，不會送出請求）
+   */
+  constructor({ recordings = [], upstream = null, promptBuilder = null } = {}) {
+    this.name = 'recorded';
+    this.upstream = upstream;
+    this.promptBuilder = promptBuilder || upstream;
+    if (!this.promptBuilder || typeof this.promptBuilder.buildMessages !== 'function') {
+      throw new Error('RecordedProvider requires a promptBuilder with buildMessages()');
+    }
+
+    this.model = this.promptBuilder.model;
+    this.promptVersion = this.promptBuilder.promptVersion;
+    this.recordings = recordings;
+    this.byRequest = new Map(recordings.filter((entry) => entry.requestHash).map((entry) => [entry.requestHash, entry]));
+    this.byText = new Map(recordings.map((entry) => [this.getKey(entry), entry]));
+  }
+
+  /**
+   * 產生錄製資料的查詢鍵
+   * @param {{sourceLang: string, targetLang: string, register?: string|null, text: string}} entry
+   * @returns {string}
+   */
+  getKey({ sourceLang, targetLang, register, text }) {
+    return `${sourceLang}>${targetLang}|${register || ''}|${text}`;
+  }
+
+  /**
+   * 計算送給模型的完整訊息的 hash
+   * @returns {string}
+   */
+  getRequestHash(text, sourceLang, targetLang, options) {
+    const messages = this.promptBuilder.buildMessages(text, sourceLang, targetLang, options);
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+  }
+
+  /**
+   * 回放或錄製翻譯結果
+   * @param {string} text - 原文（已替換受保護片段）
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options] - 與上游 provider 相同（glossary、glossaryViolations、context、register）
+   * @returns {Promise<{text: string, model: string, tokensUsed: number, duration: number}>}
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const requestHash = this.getRequestHash(text, sourceLang, targetLang, options);
+    const textKey = this.getKey({ sourceLang, targetLang, register: options.register, text });
+
+    if (this.upstream) {
+      const result = await this.upstream.translate(text, sourceLang, targetLang, options);
+      if (result) {
+        const entry = {
+          sourceLang,
+          targetLang,
+          register: options.register || null,
+          text,
+          translation: result.text,
+          model: result.model,
+          promptVersion: this.promptVersion || null,
+          requestHash,
+        };
+        // 同一段原文可能以不同的請求送出（例如帶上未遵守的詞彙重試），各自錄製；沒有 requestHash 的舊錄製直接取代
+        const legacy = this.byText.get(textKey);
+        const existing = this.byRequest.get(requestHash) || (legacy && !legacy.requestHash ? legacy : null);
+        if (existing) {
+          Object.assign(existing, entry);
+        } else {
+          this.recordings.push(entry);
+        }
+        this.byRequest.set(requestHash, existing || entry);
+        this.byText.set(textKey, existing || entry);
+      }
+      return result;
+    }
+
+    const entry = this.byRequest.get(requestHash);
+    if (!entry) {
+      const stale = this.byText.get(textKey);
+      const error = stale
+        ? new Error(`Stale recording for ${sourceLang} -> ${targetLang}: "${text.substring(0, 50)}" (request messages changed since it was recorded with prompt ${stale.promptVersion || 'unknown'}, now ${this.promptVersion || 'unknown'}), re-record with npm run regression:record`)
+        : new Error(`No recorded response for ${sourceLang} -> ${targetLang}: "${text.substring(0, 50)}", record it with npm run regression:record`);
+      error.code = stale ? 'RECORDING_STALE' : 'RECORDING_MISSING';
+      throw error;
+    }
+
+    return {
+      text: entry.translation,
+      model: entry.model || this.model,
+      tokensUsed: 0,
+      duration: 0,
+    };
+  }
+}
+
+module.exports = { RecordedProvider };
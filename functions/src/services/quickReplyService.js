@@ -0,0 +1,195 @@
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+// 範本與變數值的長度上限
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_VARIABLE_LENGTH = 50;
+
+/**
+ * 快速回覆服務
+ *
+ * 範本集合：
+ * - 全域範本：quick_replies/{templateId}（管理員維護）
+ * - 司機個人範本：users/{driverId}/quick_replies/{templateId}
+ *
+ * 範本文件：{ text, sourceLang, category?, variables, createdBy, createdAt, updatedAt }
+ * text 可包含 {minutes}、{plate} 等變數，傳送時由呼叫端提供值
+ */
+class QuickReplyService {
+  constructor() {
+    this.db = getFirestore();
+    this.globalCollection = 'quick_replies';
+    this.usersCollection = 'users';
+  }
+
+  /**
+   * 取得範本集合的參照
+   * @param {string|null} driverId - 司機 ID（null 表示全域範本）
+   */
+  getCollection(driverId) {
+    return driverId
+      ? this.db.collection(this.usersCollection).doc(driverId).collection('quick_replies')
+      : this.db.collection(this.globalCollection);
+  }
+
+  /**
+   * 列出司機可使用的範本（全域 + 個人）
+   * @param {string} driverId - 司機 ID
+   * @returns {Promise<Object[]>}
+   */
+  async listTemplates(driverId) {
+    const [globalSnapshot, driverSnapshot] = await Promise.all([
+      this.getCollection(null).get(),
+      this.getCollection(driverId).get(),
+    ]);
+
+    return [
+      ...globalSnapshot.docs.map((doc) => ({ id: doc.id, scope: 'global', ...doc.data() })),
+      ...driverSnapshot.docs.map((doc) => ({ id: doc.id, scope: 'driver', ...doc.data() })),
+    ];
+  }
+
+  /**
+   * 讀取單一範本
+   * @param {string|null} driverId - 司機 ID（null 表示全域範本）
+   * @param {string} templateId - 範本 ID
+   * @returns {Promise<Object|null>}
+   */
+  async getTemplate(driverId, templateId) {
+    const doc = await this.getCollection(driverId).doc(templateId).get();
+    return doc.exists ? { id: doc.id, scope: driverId ? 'driver' : 'global', ...doc.data() } : null;
+  }
+
+  /**
+   * 取出範本中的變數名稱
+   * @param {string} text - 範本文字
+   * @returns {string[]}
+   */
+  extractVariables(text) {
+    return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))];
+  }
+
+  /**
+   * 驗證範本輸入
+   * @param {Object} data - { text, sourceLang, category }
+   * @param {boolean} partial - 是否為部分更新
+   * @returns {string|null} - 錯誤訊息或 null
+   */
+  validateTemplate(data, partial = false) {
+    if (!partial || data.text !== undefined) {
+      if (!data.text || typeof data.text !== 'string' || !data.text.trim()) {
+        return 'Missing or invalid "text" parameter';
+      }
+      if (data.text.length > MAX_TEMPLATE_LENGTH) {
+        return `"text" must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+      }
+    }
+
+    if (!partial || data.sourceLang !== undefined) {
+      if (!data.sourceLang || typeof data.sourceLang !== 'string') {
+        return 'Missing or invalid "sourceLang" parameter';
+      }
+    }
+
+    if (data.category !== undefined && data.category !== null && typeof data.category !== 'string') {
+      return '"category" must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * 新增範本
+   * @param {string|null} driverId - 司機 ID（null 表示全域範本）
+   * @param {Object} data - 範本資料
+   * @param {string} userId - 建立者
+   * @returns {Promise<Object>}
+   */
+  async createTemplate(driverId, data, userId) {
+    const template = {
+      text: data.text.trim(),
+      sourceLang: data.sourceLang,
+      category: data.category || null,
+      variables: this.extractVariables(data.text),
+      createdBy: userId,
+    };
+
+    const ref = await this.getCollection(driverId).add({
+      ...template,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { id: ref.id, scope: driverId ? 'driver' : 'global', ...template };
+  }
+
+  /**
+   * 更新範本
+   * @returns {Promise<boolean>} - 範本不存在時回傳 false
+   */
+  async updateTemplate(driverId, templateId, data, userId) {
+    const ref = this.getCollection(driverId).doc(templateId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return false;
+    }
+
+    const updates = {
+      updatedBy: userId,
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (data.text !== undefined) {
+      updates.text = data.text.trim();
+      updates.variables = this.extractVariables(data.text);
+    }
+    if (data.sourceLang !== undefined) updates.sourceLang = data.sourceLang;
+    if (data.category !== undefined) updates.category = data.category || null;
+
+    await ref.update(updates);
+    return true;
+  }
+
+  /**
+   * 刪除範本
+   * @returns {Promise<boolean>} - 範本不存在時回傳 false
+   */
+  async deleteTemplate(driverId, templateId) {
+    const ref = this.getCollection(driverId).doc(templateId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return false;
+    }
+
+    await ref.delete();
+    return true;
+  }
+
+  /**
+   * 代入變數
+   * @param {string} text - 範本文字
+   * @param {Object} [variables] - 變數值（字串或數字）
+   * @returns {{text: string, missing: string[], invalid: string[]}}
+   *   missing 為未提供的變數；invalid 為型別錯誤或過長的變數
+   */
+  render(text, variables = {}) {
+    const missing = [];
+    const invalid = [];
+
+    const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null || value === '') {
+        missing.push(name);
+        return placeholder;
+      }
+      if (!['string', 'number'].includes(typeof value) || String(value).length > MAX_VARIABLE_LENGTH) {
+        invalid.push(name);
+        return placeholder;
+      }
+      return String(value).trim();
+    });
+
+    return { text: rendered, missing: [...new Set(missing)], invalid: [...new Set(invalid)] };
+  }
+}
+
+module.exports = { QuickReplyService };
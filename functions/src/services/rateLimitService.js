@@ -0,0 +1,116 @@
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+// 各端點預設限制（每個時間窗內的請求數；0 表示不限制）
+// user：登入用戶（uid）；guest：遊客（依來源 IP，較嚴格）；ip：同一來源 IP（不分身分）
+const DEFAULT_RATE_LIMITS = {
+  translate: { user: 60, guest: 20, ip: 120 },
+  translateBatch: { user: 10, guest: 3, ip: 20 },
+  translateMessage: { user: 60, guest: 0, ip: 120 },
+  detectLanguage: { user: 60, guest: 30, ip: 120 },
+  stt: { user: 20, guest: 5, ip: 40 },
+  sttAndTranslate: { user: 20, guest: 5, ip: 40 },
+  tts: { user: 30, guest: 10, ip: 60 },
+  sendQuickReply: { user: 30, guest: 0, ip: 60 },
+  resolveTranslations: { user: 60, guest: 0, ip: 120 },
+  translateHistory: { user: 20, guest: 0, ip: 40 },
+};
+
+/**
+ * 限流服務（固定時間窗計數，存放於 Firestore，跨 Function 實例共用）
+ *
+ * 計數文件：rate_limits/{endpoint}_{scope}_{id}_{windowStart}
+ * 文件帶有 expireAt 欄位，可在 Firestore 設定 TTL 政策自動刪除過期的計數
+ *
+ * 設定（環境變數）：
+ * - RATE_LIMIT_WINDOW_SECONDS：時間窗長度（預設 60 秒）
+ * - RATE_LIMIT_{ENDPOINT}_{USER|GUEST|IP}：覆寫單一端點的限制，例如 RATE_LIMIT_TRANSLATE_BATCH_GUEST=5
+ */
+class RateLimitService {
+  constructor() {
+    this.db = getFirestore();
+    this.collection = 'rate_limits';
+    this.windowSeconds = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60');
+  }
+
+  /**
+   * 取得端點的限制設定
+   * @param {string} endpoint - 端點名稱
+   * @returns {{user: number, guest: number, ip: number}}
+   */
+  getLimits(endpoint) {
+    const defaults = DEFAULT_RATE_LIMITS[endpoint] || { user: 0, guest: 0, ip: 0 };
+    const prefix = `RATE_LIMIT_${endpoint.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+    const limits = {};
+    for (const scope of ['user', 'guest', 'ip']) {
+      const override = process.env[`${prefix}_${scope.toUpperCase()}`];
+      limits[scope] = override !== undefined ? parseInt(override) : defaults[scope];
+    }
+    return limits;
+  }
+
+  /**
+   * 檢查並累加計數（所有適用的限制都未超過時才累加）
+   * @param {string} endpoint - 端點名稱
+   * @param {Object} identity
+   * @param {string|null} identity.uid - 登入用戶 ID（遊客為 null）
+   * @param {string} identity.ipHash - 來源 IP 雜湊（遊客限制也以此計數，不使用客戶端可竄改的標頭）
+   * @returns {Promise<{allowed: boolean, limit: number|null, remaining: number|null, resetAt: number, retryAfter: number}>}
+   *   limit / remaining 為最嚴格的限制；沒有任何限制時為 null
+   */
+  async consume(endpoint, { uid, ipHash }) {
+    const limits = this.getLimits(endpoint);
+    const windowMs = this.windowSeconds * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+    const buckets = [
+      uid ? { scope: 'user', id: uid, limit: limits.user } : { scope: 'guest', id: ipHash, limit: limits.guest },
+      { scope: 'ip', id: ipHash, limit: limits.ip },
+    ].filter((bucket) => bucket.limit > 0);
+
+    if (buckets.length === 0) {
+      return { allowed: true, limit: null, remaining: null, resetAt, retryAfter: 0 };
+    }
+
+    const refs = buckets.map((bucket) => this.db
+      .collection(this.collection)
+      .doc(`${endpoint}_${bucket.scope}_${bucket.id}_${windowStart}`));
+
+    return this.db.runTransaction(async (transaction) => {
+      const docs = await transaction.getAll(...refs);
+      const counts = docs.map((doc) => (doc.exists ? doc.data().count : 0));
+
+      const exceeded = buckets.some((bucket, index) => counts[index] >= bucket.limit);
+      const remainingList = buckets.map((bucket, index) => bucket.limit - counts[index] - (exceeded ? 0 : 1));
+      const tightest = remainingList.indexOf(Math.min(...remainingList));
+
+      if (!exceeded) {
+        refs.forEach((ref, index) => {
+          transaction.set(ref, {
+            endpoint,
+            scope: buckets[index].scope,
+            count: counts[index] + 1,
+            windowStart: Timestamp.fromMillis(windowStart),
+            expireAt: Timestamp.fromMillis(resetAt + windowMs),
+          });
+        });
+      }
+
+      return {
+        allowed: !exceeded,
+        limit: buckets[tightest].limit,
+        remaining: Math.max(0, remainingList[tightest]),
+        resetAt,
+        retryAfter: exceeded ? retryAfter : 0,
+      };
+    });
+  }
+}
+
+module.exports = {
+  RateLimitService,
+  DEFAULT_RATE_LIMITS,
+};
@@ -0,0 +1,261 @@
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { TranslationService } = require('./translationService');
+const { LanguageDetectionService } = require('./languageDetectionService');
+const { ChatRoomService } = require('./chatRoomService');
+const { DisplayTranslationService } = require('./displayTranslationService');
+const { resolveLanguage } = require('../utils/languages');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 聊天室中代表成員的欄位（participantIds 另外以 array-contains 查詢）
+const MEMBER_FIELDS = ['customerId', 'driverId', 'dispatcherId', 'supportAgentId'];
+
+/**
+ * 重新翻譯服務
+ *
+ * 1. 訊息編輯：messageText 改變時重新翻譯所有已有的語言，舊的譯文移到 translationHistory
+ * 2. 偏好語言改變：把該成員最近活躍聊天室的近期訊息補翻成新語言，並更新 viewerLangs
+ *
+ * 設定（環境變數）：
+ * - TRANSLATION_HISTORY_LIMIT：每則訊息保留的歷史版本數（預設 5）
+ * - RETRANSLATE_BACKFILL_HOURS：補翻最近幾小時內有訊息的聊天室（預設 12）
+ * - RETRANSLATE_BACKFILL_MAX_ROOMS：最多補翻的聊天室數（預設 5，依最後訊息時間新到舊）
+ * - RETRANSLATE_BACKFILL_MESSAGES：每個聊天室補翻的最近訊息數（預設 30）
+ */
+class RetranslationService {
+  /**
+   * @param {string} apiKey - OpenAI API 金鑰
+   */
+  constructor(apiKey) {
+    this.db = getFirestore();
+    this.roomsCollection = 'chat_rooms';
+    this.translationService = new TranslationService(apiKey);
+    this.detectionService = new LanguageDetectionService(apiKey);
+    this.chatRoomService = new ChatRoomService();
+    this.displayService = new DisplayTranslationService();
+
+    this.historyLimit = parseInt(process.env.TRANSLATION_HISTORY_LIMIT || '5');
+    this.backfillHours = parseInt(process.env.RETRANSLATE_BACKFILL_HOURS || '12');
+    this.backfillMaxRooms = parseInt(process.env.RETRANSLATE_BACKFILL_MAX_ROOMS || '5');
+    this.backfillMessages = parseInt(process.env.RETRANSLATE_BACKFILL_MESSAGES || '30');
+    this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TRANSLATIONS || '2');
+  }
+
+  /**
+   * 決定編輯後訊息的來源語言
+   * 客戶端更新了 detectedLang 時直接採用，否則重新偵測（信心不足時沿用原本的語言）
+   * @param {Object} before - 編輯前的訊息
+   * @param {Object} after - 編輯後的訊息
+   * @returns {Promise<{sourceLang: string, confidence: number|null}>} - confidence 為 null 表示採用客戶端提供的語言
+   */
+  async resolveEditedSourceLang(before, after) {
+    const previous = this.displayService.getSourceLang(before) || 'zh-TW';
+
+    if (after.detectedLang && after.detectedLang !== before.detectedLang) {
+      return { sourceLang: resolveLanguage(after.detectedLang, 'translate') || previous, confidence: null };
+    }
+
+    const detection = await this.detectionService.detectLanguage(after.messageText);
+    const sourceLang = detection.lang !== 'und' && detection.confidence >= this.detectionService.minConfidence
+      ? detection.lang
+      : previous;
+    return { sourceLang, confidence: detection.confidence };
+  }
+
+  /**
+   * 建立歷史紀錄（保留最近 historyLimit 筆）
+   * @param {Object} before - 編輯前的訊息
+   * @returns {Object[]}
+   */
+  buildHistory(before) {
+    const history = Array.isArray(before.translationHistory) ? before.translationHistory : [];
+    const entry = {
+      messageText: before.messageText || '',
+      detectedLang: before.detectedLang || null,
+      translations: before.translations || {},
+      translatedText: before.translatedText || null,
+      replacedAt: Timestamp.now(),
+    };
+    return [...history, entry].slice(-this.historyLimit);
+  }
+
+  /**
+   * 重新翻譯被編輯的訊息
+   * @param {FirebaseFirestore.DocumentReference} ref - 訊息參照
+   * @param {string} roomId - 聊天室 ID
+   * @param {Object} before - 編輯前的訊息
+   * @param {Object} after - 編輯後的訊息
+   * @returns {Promise<{sourceLang: string, languages: string[], tokensUsed: number}|null>} - 文字沒有改變時回傳 null
+   */
+  async retranslateEditedMessage(ref, roomId, before, after) {
+    if (!after.messageText || after.messageText === before.messageText) {
+      return null;
+    }
+
+    const { sourceLang, confidence } = await this.resolveEditedSourceLang(before, after);
+
+    // 重新翻譯原本已有的語言與成員需要的語言
+    const previousTranslations = before.translations || {};
+    const viewerLangs = { ...(before.viewerLangs || {}) };
+    if (after.senderId) {
+      viewerLangs[after.senderId] = sourceLang;
+    }
+    const languages = [...new Set([...Object.keys(previousTranslations), ...Object.values(viewerLangs)])]
+      .filter((lang) => lang && lang !== sourceLang);
+
+    // 沿用各語言原本的語氣
+    const registers = {};
+    languages.forEach((lang) => {
+      registers[lang] = (previousTranslations[lang] && previousTranslations[lang].register) || null;
+    });
+
+    let translations = {};
+    if (languages.length > 0 && this.translationService.shouldAutoTranslate(after.messageText)) {
+      const roomData = await this.chatRoomService.getRoom(roomId);
+      const context = await this.chatRoomService.getConversationContext(roomId, ref.id, after, roomData);
+      translations = await this.translationService.translateBatch(
+        after.messageText,
+        sourceLang,
+        languages,
+        this.maxConcurrent,
+        { roomId, context, registers }
+      );
+    }
+
+    const updates = {
+      translations,
+      translatedText: this.displayService.pickLegacyTranslatedText(translations),
+      translatedAt: FieldValue.serverTimestamp(),
+      viewerLangs,
+      translationHistory: this.buildHistory(before),
+    };
+    if (confidence !== null) {
+      updates.detectedLang = sourceLang;
+      updates.detectedLangConfidence = confidence;
+    }
+    await ref.update(updates);
+
+    const tokensUsed = Object.values(translations).reduce((sum, translation) => sum + (translation.tokensUsed || 0), 0);
+    return { sourceLang, languages: Object.keys(translations), tokensUsed };
+  }
+
+  /**
+   * 找出成員最近活躍的聊天室（依最後訊息時間新到舊）
+   * 每個成員欄位各自只取補翻時間窗內最新的 backfillMaxRooms 間（複合索引定義於 firestore.indexes.json），合併後再取前 backfillMaxRooms 間
+   * @param {string} userId - 用戶 ID
+   * @returns {Promise<{roomId: string, roomData: Object}[]>}
+   */
+  async findRecentRooms(userId) {
+    const rooms = this.db.collection(this.roomsCollection);
+    const cutoff = Timestamp.fromMillis(Date.now() - this.backfillHours * HOUR_MS);
+    const recent = (query) => query
+      .where('lastMessageTime', '>=', cutoff)
+      .orderBy('lastMessageTime', 'desc')
+      .limit(this.backfillMaxRooms)
+      .get();
+
+    const snapshots = await Promise.all([
+      ...MEMBER_FIELDS.map((field) => recent(rooms.where(field, '==', userId))),
+      recent(rooms.where('participantIds', 'array-contains', userId)),
+    ]);
+
+    const found = new Map();
+    snapshots.forEach((snapshot) => {
+      snapshot.docs.forEach((doc) => found.set(doc.id, doc.data()));
+    });
+
+    return [...found]
+      .map(([roomId, roomData]) => ({ roomId, roomData }))
+      .sort((a, b) => b.roomData.lastMessageTime.toMillis() - a.roomData.lastMessageTime.toMillis())
+      .slice(0, this.backfillMaxRooms);
+  }
+
+  /**
+   * 把成員最近聊天室的近期訊息補翻成新的偏好語言
+   * @param {string} userId - 用戶 ID
+   * @param {string} lang - 新的偏好語言
+   * @param {string|null} register - 成員希望的翻譯語氣
+   * @returns {Promise<{rooms: number, messages: number, translated: number, skipped: number, failed: number, tokensUsed: number}>}
+   *   skipped 為自動偵測後發現已是目標語言、不需翻譯的訊息數
+   */
+  async backfillUserLanguage(userId, lang, register = null) {
+    const summary = { rooms: 0, messages: 0, translated: 0, skipped: 0, failed: 0, tokensUsed: 0 };
+    const cutoff = Timestamp.fromMillis(Date.now() - this.backfillHours * HOUR_MS);
+
+    for (const { roomId } of await this.findRecentRooms(userId)) {
+      summary.rooms++;
+      const snapshot = await this.db
+        .collection(this.roomsCollection)
+        .doc(roomId)
+        .collection('messages')
+        .where('createdAt', '>=', cutoff)
+        .orderBy('createdAt', 'desc')
+        .limit(this.backfillMessages)
+        .get();
+
+      const batch = this.db.batch();
+      const pending = [];
+      let writes = 0;
+
+      snapshot.docs.forEach((doc) => {
+        const messageData = doc.data();
+        if (!messageData.messageText) {
+          return;
+        }
+        summary.messages++;
+
+        // 自己發送的訊息看原文
+        const sourceLang = this.displayService.getSourceLang(messageData);
+        const viewerLang = messageData.senderId === userId ? (sourceLang || lang) : lang;
+        const needsTranslation = messageData.senderId !== userId
+          && sourceLang !== lang
+          && !(messageData.translations && messageData.translations[lang] && messageData.translations[lang].text);
+
+        if (needsTranslation) {
+          pending.push({ doc, messageData, sourceLang });
+        } else if (!messageData.viewerLangs || messageData.viewerLangs[userId] !== viewerLang) {
+          batch.update(doc.ref, { [`viewerLangs.${userId}`]: viewerLang });
+          writes++;
+        }
+      });
+
+      if (pending.length > 0) {
+        const outcomes = await this.translationService.translateJobs(pending.map(({ messageData, sourceLang }) => ({
+          text: messageData.messageText,
+          sourceLang: sourceLang || 'auto',
+          targetLang: lang,
+          options: { roomId, register },
+        })), this.maxConcurrent);
+
+        outcomes.forEach((outcome, index) => {
+          const { doc } = pending[index];
+          if (outcome.error) {
+            summary.failed++;
+            return;
+          }
+          if (!outcome.result) {
+            summary.skipped++;
+            return;
+          }
+
+          summary.translated++;
+          summary.tokensUsed += outcome.result.tokensUsed || 0;
+          batch.update(doc.ref, {
+            [`translations.${lang}`]: outcome.result,
+            [`viewerLangs.${userId}`]: lang,
+            translatedAt: FieldValue.serverTimestamp(),
+          });
+          writes++;
+        });
+      }
+
+      if (writes > 0) {
+        await batch.commit();
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = { RetranslationService };
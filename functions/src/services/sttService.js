@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const { getWhisperCode } = require('../utils/languages');
 
 /**
  * Speech-to-Text Service
@@ -28,7 +29,7 @@ class SttService {
    * @param {Buffer} audioBuffer - 音訊檔案 Buffer
    * @param {string} language - 語言代碼（ISO 639-1，例如：zh, en, ja, ko, vi, th, ms, id）
    * @param {string} filename - 檔案名稱（需包含副檔名，例如：audio.m4a）
-   * @returns {Promise<{text: string, language: string, duration: number}>}
+   * @returns {Promise<{text: string, language: string, duration: number, audioSeconds: number}>}
    */
   async transcribe(audioBuffer, language, filename = 'audio.m4a') {
     const startTime = Date.now();
@@ -54,6 +55,7 @@ class SttService {
           text: result.text,
           language: language,
           duration,
+          audioSeconds: result.audioSeconds,
         };
       } catch (error) {
         lastError = error;
@@ -77,7 +79,7 @@ class SttService {
    * @param {Buffer} audioBuffer - 音訊檔案 Buffer
    * @param {string} language - 語言代碼
    * @param {string} filename - 檔案名稱
-   * @returns {Promise<{text: string}>}
+   * @returns {Promise<{text: string, audioSeconds: number}>}
    */
   async transcribeWithWhisper(audioBuffer, language, filename) {
     try {
@@ -92,18 +94,19 @@ class SttService {
 
       console.log(`[STT] Calling Whisper API: model=${this.model}, language=${whisperLanguage}, filename=${filename}`);
 
-      // 調用 Whisper API
+      // 調用 Whisper API（verbose_json 會回傳音訊長度，用於用量紀錄）
       const response = await this.openai.audio.transcriptions.create({
         file: file,
         model: this.model,
         language: whisperLanguage,
-        response_format: 'json',
+        response_format: 'verbose_json',
       });
 
       console.log(`[STT] Whisper API response: text="${response.text.substring(0, 100)}..."`);
 
       return {
         text: response.text.trim(),
+        audioSeconds: response.duration || 0,
       };
     } catch (error) {
       console.error('[STT] Whisper API error:', error);
@@ -113,23 +116,11 @@ class SttService {
 
   /**
    * 將應用語言代碼轉換為 Whisper API 支援的 ISO 639-1 格式
-   * @param {string} appLanguage - 應用語言代碼（zh-TW, en, ja, ko, vi, th, ms, id）
-   * @returns {string} - Whisper 語言代碼（zh, en, ja, ko, vi, th, ms, id）
+   * @param {string} appLanguage - 應用語言代碼（見 utils/languages）
+   * @returns {string} - Whisper 語言代碼（例如 zh-TW → zh）
    */
   convertToWhisperLanguage(appLanguage) {
-    const languageMap = {
-      'zh-TW': 'zh',
-      'zh-CN': 'zh',
-      'en': 'en',
-      'ja': 'ja',
-      'ko': 'ko',
-      'vi': 'vi',
-      'th': 'th',
-      'ms': 'ms',
-      'id': 'id',
-    };
-
-    return languageMap[appLanguage] || appLanguage.split('-')[0];
+    return getWhisperCode(appLanguage);
   }
 
   /**
@@ -1,25 +1,77 @@
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
 const crypto = require('crypto');
+const { LruCache } = require('../utils/lruCache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 快取鍵格式版本（快取鍵的組成方式改變時遞增）
+const CACHE_KEY_VERSION = 'v5';
+
+// 記憶體層（同一個 Function 實例內所有請求共用）
+const memoryCache = new LruCache({
+  maxEntries: parseInt(process.env.TRANSLATION_MEMORY_CACHE_SIZE || '500'),
+  ttlMs: parseInt(process.env.TRANSLATION_CACHE_TTL || '600') * 1000,
+});
 
 /**
- * 翻譯快取服務
- * 使用 Firestore 作為快取層，減少 OpenAI API 調用次數
+ * 翻譯快取服務（兩層）
+ *
+ * 1. 記憶體層：有容量上限的 LRU，避免同一實例重複讀取 Firestore
+ * 2. Firestore 層：跨實例共用，減少 OpenAI API 調用次數
+ *
+ * 兩層使用相同的快取鍵：完整原文 + 來源 / 目標語言 + provider + 模型 + prompt 版本 + 語氣 + 變體的 SHA256
+ *
+ * 核准的用戶修正另存於 translation_overrides（以原文 + 目標語言 + 語氣為鍵，不會過期），查詢時優先於快取譯文
+ *
+ * 過期政策（環境變數）：
+ * - TRANSLATION_CACHE_EXPIRATION_DAYS：建立後多少天過期（預設 30）
+ * - TRANSLATION_CACHE_HOT_ACCESS_COUNT：訪問次數達到此值視為熱門項目（預設 20，0 表示停用保留）
+ * - TRANSLATION_CACHE_HOT_IDLE_DAYS：熱門項目在最後訪問後多少天內仍保留（預設 14）
+ * - TRANSLATION_CACHE_HOT_MAX_AGE_DAYS：熱門項目最長保留天數（預設 180）
+ * - TRANSLATION_CACHE_ACCESS_FLUSH_SECONDS：記憶體層命中累積的訪問次數，最少間隔多少秒寫回 Firestore 一次（預設 60）
  */
 class TranslationCacheService {
   constructor() {
     this.db = getFirestore();
     this.cacheCollection = 'translation_cache';
-    this.cacheExpirationDays = 30; // 快取過期時間：30 天
+    this.overrideCollection = 'translation_overrides';
+    this.cleanupRunsCollection = 'translation_cache_cleanup_runs';
+    this.cacheExpirationDays = parseInt(process.env.TRANSLATION_CACHE_EXPIRATION_DAYS || '30');
+    this.hotAccessCount = parseInt(process.env.TRANSLATION_CACHE_HOT_ACCESS_COUNT || '20');
+    this.hotIdleDays = parseInt(process.env.TRANSLATION_CACHE_HOT_IDLE_DAYS || '14');
+    this.hotMaxAgeDays = parseInt(process.env.TRANSLATION_CACHE_HOT_MAX_AGE_DAYS || '180');
+    this.accessFlushMs = parseInt(process.env.TRANSLATION_CACHE_ACCESS_FLUSH_SECONDS || '60') * 1000;
+    this.memory = memoryCache;
   }
 
   /**
    * 生成快取鍵（SHA256 hash）
+   *
+   * 除了原文與目標語言，也包含來源語言、provider、模型、prompt 版本、語氣與變體；
+   * 更換 provider、模型或修改 prompt 後會產生新的快取鍵，舊文件保留在集合中供比較，直到過期
    * @param {string} text - 原文
    * @param {string} targetLang - 目標語言
+   * @param {Object} [options]
+   * @param {string} [options.sourceLang] - 來源語言（預設 'auto'）
+   * @param {string|null} [options.provider] - 產生譯文的 provider 名稱
+   * @param {string|null} [options.model] - 該 provider 的模型
+   * @param {string|null} [options.promptVersion] - 該 provider 的 prompt 版本
+   * @param {string|null} [options.register] - 語氣
+   * @param {string} [options.variant] - 快取變體（例如詞彙表指紋）
    * @returns {string} - SHA256 hash
    */
-  generateCacheKey(text, targetLang) {
-    const input = `${text}|${targetLang}`;
+  generateCacheKey(text, targetLang, options = {}) {
+    const input = [
+      CACHE_KEY_VERSION,
+      options.sourceLang || 'auto',
+      targetLang,
+      options.provider || '',
+      options.model || '',
+      options.promptVersion || '',
+      options.register || '',
+      options.variant || '',
+      text,
+    ].join('|');
     return crypto.createHash('sha256').update(input).digest('hex');
   }
 
@@ -27,11 +79,33 @@ class TranslationCacheService {
    * 從快取中獲取翻譯
    * @param {string} text - 原文
    * @param {string} targetLang - 目標語言
+   * @param {Object} [options] - 快取鍵選項（同 generateCacheKey）
    * @returns {Promise<string|null>} - 翻譯結果或 null
    */
-  async getTranslation(text, targetLang) {
+  async getTranslation(text, targetLang, options = {}) {
+    const entry = await this.getEntry(text, targetLang, options);
+    return entry ? entry.translatedText : null;
+  }
+
+  /**
+   * 從快取中獲取翻譯與來源資訊（先查記憶體層，未命中再查 Firestore 並回填記憶體層）
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options] - 快取鍵選項（同 generateCacheKey）
+   * @returns {Promise<{translatedText: string, provider: string|null, model: string|null, warmed: boolean, tier: string}|null>}
+   *   tier 為 'memory' 或 'firestore'
+   */
+  async getEntry(text, targetLang, options = {}) {
+    const cacheKey = this.generateCacheKey(text, targetLang, options);
+
+    const memoryEntry = this.memory.get(cacheKey);
+    if (memoryEntry) {
+      await this.recordMemoryAccess(cacheKey, memoryEntry);
+      const { pendingAccess, accessFlushedAt, ...entry } = memoryEntry;
+      return { ...entry, tier: 'memory' };
+    }
+
     try {
-      const cacheKey = this.generateCacheKey(text, targetLang);
       const cacheDoc = await this.db
         .collection(this.cacheCollection)
         .doc(cacheKey)
@@ -42,14 +116,9 @@ class TranslationCacheService {
       }
 
       const cacheData = cacheDoc.data();
-      const now = new Date();
-      const expirationDate = new Date(
-        cacheData.createdAt.toDate().getTime() +
-        this.cacheExpirationDays * 24 * 60 * 60 * 1000
-      );
-
-      // 檢查是否過期
-      if (now > expirationDate) {
+
+      // 檢查是否過期（熱門項目依保留政策延長）
+      if (this.isExpired(cacheData)) {
         // 過期，刪除快取
         await this.db.collection(this.cacheCollection).doc(cacheKey).delete();
         return null;
@@ -61,27 +130,107 @@ class TranslationCacheService {
         accessCount: FieldValue.increment(1),
       });
 
-      return cacheData.translatedText;
+      const entry = {
+        translatedText: cacheData.translatedText,
+        provider: cacheData.provider || null,
+        model: cacheData.model || null,
+        warmed: !!cacheData.warmed,
+      };
+      this.memory.set(cacheKey, { ...entry, pendingAccess: 0, accessFlushedAt: Date.now() });
+
+      return { ...entry, tier: 'firestore' };
     } catch (error) {
       console.error('Error getting translation from cache:', error);
       return null;
     }
   }
 
+  /**
+   * 記錄記憶體層命中的訪問（累積後每 accessFlushMs 最多寫回 Firestore 一次）
+   * 熱門項目大多由記憶體層回應，不寫回的話 accessCount 偏低，會被保留政策誤判為冷門而過期
+   * @param {string} cacheKey - 快取鍵
+   * @param {Object} memoryEntry - 記憶體層的項目（累積的次數記錄在項目上）
+   * @returns {Promise<void>}
+   */
+  async recordMemoryAccess(cacheKey, memoryEntry) {
+    memoryEntry.pendingAccess = (memoryEntry.pendingAccess || 0) + 1;
+    const now = Date.now();
+    if (now - (memoryEntry.accessFlushedAt || 0) < this.accessFlushMs) {
+      return;
+    }
+
+    const count = memoryEntry.pendingAccess;
+    memoryEntry.pendingAccess = 0;
+    memoryEntry.accessFlushedAt = now;
+    try {
+      await this.db.collection(this.cacheCollection).doc(cacheKey).update({
+        lastAccessedAt: FieldValue.serverTimestamp(),
+        accessCount: FieldValue.increment(count),
+      });
+    } catch (error) {
+      // 文件已被清理（NOT_FOUND）時一併移除記憶體層，下次重新查詢
+      if (error.code === 5) {
+        this.memory.delete(cacheKey);
+        return;
+      }
+      console.error('Error recording translation cache access:', error);
+    }
+  }
+
+  /**
+   * 讀取 Firestore 層的快取文件，不更新訪問統計也不回填記憶體層（供背景工作檢查新鮮度）
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options] - 快取鍵選項（同 generateCacheKey）
+   * @returns {Promise<Object|null>} - 文件資料，不存在時為 null
+   */
+  async peekEntry(text, targetLang, options = {}) {
+    const cacheDoc = await this.db
+      .collection(this.cacheCollection)
+      .doc(this.generateCacheKey(text, targetLang, options))
+      .get();
+    return cacheDoc.exists ? cacheDoc.data() : null;
+  }
+
   /**
    * 將翻譯結果寫入快取
    * @param {string} text - 原文
    * @param {string} targetLang - 目標語言
    * @param {string} translatedText - 翻譯結果
+   * @param {Object} [metadata] - 翻譯來源資訊
+   * @param {string|null} [metadata.provider] - 產生翻譯的 provider
+   * @param {string|null} [metadata.model] - 實際產生翻譯的模型（fallback 時可能與快取鍵的模型不同）
+   * @param {boolean} [metadata.warmed] - 是否由預熱工作寫入
+   * @param {Object} [metadata.key] - 快取鍵選項（同 generateCacheKey）
    * @returns {Promise<void>}
    */
-  async setTranslation(text, targetLang, translatedText) {
+  async setTranslation(text, targetLang, translatedText, metadata = {}) {
+    const key = metadata.key || {};
+    const cacheKey = this.generateCacheKey(text, targetLang, key);
+    this.memory.set(cacheKey, {
+      translatedText,
+      provider: metadata.provider || null,
+      model: metadata.model || null,
+      warmed: !!metadata.warmed,
+      pendingAccess: 0,
+      accessFlushedAt: Date.now(),
+    });
+
     try {
-      const cacheKey = this.generateCacheKey(text, targetLang);
       await this.db.collection(this.cacheCollection).doc(cacheKey).set({
         text,
+        sourceLang: key.sourceLang || 'auto',
         targetLang,
         translatedText,
+        provider: metadata.provider || null,
+        model: metadata.model || null,
+        keyProvider: key.provider || null,
+        keyModel: key.model || null,
+        promptVersion: key.promptVersion || null,
+        register: key.register || null,
+        variant: key.variant || null,
+        warmed: !!metadata.warmed,
+        keyVersion: CACHE_KEY_VERSION,
         createdAt: FieldValue.serverTimestamp(),
         lastAccessedAt: FieldValue.serverTimestamp(),
         accessCount: 1,
@@ -93,30 +242,233 @@ class TranslationCacheService {
   }
 
   /**
-   * 清理過期的快取
-   * @returns {Promise<number>} - 刪除的文檔數量
+   * 列出同一段原文在各版本（來源語言、模型、prompt 版本、語氣）下的快取譯文，供比較
+   * 不含版本欄位的舊快取文件也會列出（promptVersion 為 null）
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @returns {Promise<Object[]>}
+   */
+  async listVersions(text, targetLang) {
+    const snapshot = await this.db
+      .collection(this.cacheCollection)
+      .where('text', '==', text)
+      .where('targetLang', '==', targetLang)
+      .get();
+
+    return snapshot.docs.map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        translatedText: data.translatedText,
+        sourceLang: data.sourceLang || null,
+        provider: data.provider || null,
+        model: data.model || null,
+        keyProvider: data.keyProvider || null,
+        keyModel: data.keyModel || null,
+        promptVersion: data.promptVersion || null,
+        register: data.register || null,
+        variant: data.variant || null,
+        createdAt: data.createdAt ? data.createdAt.toDate() : null,
+        accessCount: data.accessCount || 0,
+      };
+    });
+  }
+
+  /**
+   * 產生修正覆寫的鍵（原文 + 目標語言 + 語氣的 SHA256）
+   * 不含模型、prompt 版本與詞彙表：核准的修正在這些設定改變後仍然有效
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {string|null} register - 語氣
+   * @returns {string}
+   */
+  generateOverrideKey(text, targetLang, register) {
+    const input = ['override', targetLang, register || '', text].join('|');
+    return crypto.createHash('sha256').update(input).digest('hex');
+  }
+
+  /**
+   * 查詢核准的修正譯文（先查記憶體層，未命中再查 translation_overrides）
+   * 查無修正的結果也會存入記憶體層，避免每次查詢快取都多讀一次 Firestore
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {string|null} register - 語氣
+   * @returns {Promise<{translatedText: string, correctionId: string, tier: string}|null>}
    */
-  async cleanupExpiredCache() {
+  async getOverride(text, targetLang, register) {
+    const overrideKey = this.generateOverrideKey(text, targetLang, register);
+    const memoryKey = `override:${overrideKey}`;
+
+    const memoryEntry = this.memory.get(memoryKey);
+    if (memoryEntry) {
+      return memoryEntry.translatedText ? { ...memoryEntry, tier: 'memory' } : null;
+    }
+
     try {
-      const expirationDate = new Date(
-        Date.now() - this.cacheExpirationDays * 24 * 60 * 60 * 1000
-      );
+      const overrideDoc = await this.db.collection(this.overrideCollection).doc(overrideKey).get();
+      if (!overrideDoc.exists) {
+        this.memory.set(memoryKey, { translatedText: null });
+        return null;
+      }
+
+      const data = overrideDoc.data();
+      const entry = { translatedText: data.translatedText, correctionId: data.correctionId || null };
+      this.memory.set(memoryKey, entry);
+      return { ...entry, tier: 'firestore' };
+    } catch (error) {
+      console.error('Error getting translation override:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 儲存核准的修正譯文（同一段原文、目標語言與語氣只保留最新的修正）
+   * 查詢快取時優先於所有版本的快取譯文；其他 Function 實例的記憶體層會在 TRANSLATION_CACHE_TTL 後更新
+   * @param {string} text - 原文
+   * @param {string} targetLang - 目標語言
+   * @param {string|null} register - 修正的譯文所用的語氣
+   * @param {string} correctedText - 修正後的譯文
+   * @param {string} correctionId - 修正 ID
+   * @returns {Promise<string>} - 覆寫的鍵
+   */
+  async applyCorrection(text, targetLang, register, correctedText, correctionId) {
+    const overrideKey = this.generateOverrideKey(text, targetLang, register);
+    await this.db.collection(this.overrideCollection).doc(overrideKey).set({
+      text,
+      targetLang,
+      register: register || null,
+      translatedText: correctedText,
+      correctionId,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    this.memory.set(`override:${overrideKey}`, { translatedText: correctedText, correctionId });
+    return overrideKey;
+  }
+
+  /**
+   * 判斷快取項目是否過期
+   *
+   * 建立超過 cacheExpirationDays 天即過期；但訪問次數達到 hotAccessCount、
+   * 最近 hotIdleDays 天內仍有訪問、且建立未超過 hotMaxAgeDays 天的熱門項目會保留
+   * @param {Object} data - 快取文件資料
+   * @param {number} [now] - 目前時間（毫秒）
+   * @returns {boolean}
+   */
+  isExpired(data, now = Date.now()) {
+    if (!data.createdAt) {
+      return false;
+    }
+
+    const createdAt = data.createdAt.toMillis();
+    if (now - createdAt <= this.cacheExpirationDays * DAY_MS) {
+      return false;
+    }
+
+    return !this.isHotEntry(data, now);
+  }
 
-      const expiredDocs = await this.db
+  /**
+   * 判斷已超過固定期限的項目是否屬於應保留的熱門項目
+   * @param {Object} data - 快取文件資料
+   * @param {number} [now] - 目前時間（毫秒）
+   * @returns {boolean}
+   */
+  isHotEntry(data, now = Date.now()) {
+    if (this.hotAccessCount <= 0 || (data.accessCount || 0) < this.hotAccessCount) {
+      return false;
+    }
+
+    const lastAccessedAt = data.lastAccessedAt ? data.lastAccessedAt.toMillis() : data.createdAt.toMillis();
+    return now - lastAccessedAt <= this.hotIdleDays * DAY_MS
+      && now - data.createdAt.toMillis() <= this.hotMaxAgeDays * DAY_MS;
+  }
+
+  /**
+   * 清理過期的快取（依建立時間分頁掃描，每頁以一個批次刪除）
+   * 每次執行都會寫入一份摘要到 translation_cache_cleanup_runs
+   * @param {Object} [options]
+   * @param {number} [options.pageSize] - 每頁讀取的文件數（最多 500，Firestore 批次上限）
+   * @param {number} [options.maxDocs] - 單次執行最多掃描的文件數（避免超過 Function 執行時間）
+   * @param {string} [options.trigger] - 觸發來源（寫入摘要，例如 'schedule'）
+   * @returns {Promise<{scanned: number, deleted: number, retained: number, pages: number, truncated: boolean, error: string|null}>}
+   */
+  async cleanupExpiredCache(options = {}) {
+    const pageSize = Math.min(options.pageSize || 500, 500);
+    const maxDocs = options.maxDocs || Infinity;
+    const startedAt = Date.now();
+    const cutoff = Timestamp.fromMillis(startedAt - this.cacheExpirationDays * DAY_MS);
+    const summary = { scanned: 0, deleted: 0, retained: 0, pages: 0, truncated: false, error: null };
+
+    try {
+      const query = this.db
         .collection(this.cacheCollection)
-        .where('createdAt', '<', expirationDate)
-        .get();
+        .where('createdAt', '<', cutoff)
+        .orderBy('createdAt')
+        .limit(pageSize);
 
-      const batch = this.db.batch();
-      expiredDocs.docs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
+      let lastDoc = null;
+      for (;;) {
+        if (summary.scanned >= maxDocs) {
+          summary.truncated = true;
+          break;
+        }
+
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+        if (snapshot.empty) {
+          break;
+        }
 
-      await batch.commit();
-      return expiredDocs.size;
+        const expired = snapshot.docs.filter((doc) => this.isExpired(doc.data(), startedAt));
+        if (expired.length > 0) {
+          const batch = this.db.batch();
+          expired.forEach((doc) => batch.delete(doc.ref));
+          await batch.commit();
+        }
+
+        summary.pages++;
+        summary.scanned += snapshot.size;
+        summary.deleted += expired.length;
+        summary.retained += snapshot.size - expired.length;
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < pageSize) {
+          break;
+        }
+      }
     } catch (error) {
       console.error('Error cleaning up expired cache:', error);
-      return 0;
+      summary.error = error.message;
+    }
+
+    await this.writeCleanupSummary(summary, {
+      trigger: options.trigger || 'manual',
+      startedAt,
+      cutoff,
+    });
+    return summary;
+  }
+
+  /**
+   * 寫入清理摘要（失敗時只記錄錯誤）
+   */
+  async writeCleanupSummary(summary, { trigger, startedAt, cutoff }) {
+    try {
+      await this.db.collection(this.cleanupRunsCollection).add({
+        ...summary,
+        trigger,
+        cutoff,
+        policy: {
+          expirationDays: this.cacheExpirationDays,
+          hotAccessCount: this.hotAccessCount,
+          hotIdleDays: this.hotIdleDays,
+          hotMaxAgeDays: this.hotMaxAgeDays,
+        },
+        startedAt: Timestamp.fromMillis(startedAt),
+        finishedAt: FieldValue.serverTimestamp(),
+        durationMs: Date.now() - startedAt,
+      });
+    } catch (error) {
+      console.error('Error writing cache cleanup summary:', error);
     }
   }
 }
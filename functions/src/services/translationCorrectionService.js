@@ -0,0 +1,238 @@
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const TranslationCacheService = require('./translationCacheService');
+
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// 列出修正時每次最多回傳的筆數
+const MAX_CORRECTIONS_PAGE_SIZE = 100;
+
+// 修正譯文長度上限
+const MAX_CORRECTION_LENGTH = parseInt(process.env.MAX_CORRECTION_LENGTH || '2000');
+
+/**
+ * 翻譯修正服務
+ *
+ * 聊天室成員可對訊息的某個語言譯文提出修正，管理員核准後：
+ * 1. 覆寫訊息的 translations.{lang}（以及與舊譯文相同的 translatedText）
+ * 2. 以（原文, 目標語言, 語氣）存入 translation_overrides，之後相同語氣的翻譯請求查詢快取時優先使用修正譯文
+ *
+ * 修正文件：translation_corrections/{correctionId}
+ * { roomId, messageId, targetLang, register, originalText, previousTranslation, correctedText,
+ *   authorId, status, createdAt, reviewedBy?, reviewedAt?, reviewNote?, overrideKey? }
+ */
+class TranslationCorrectionService {
+  constructor() {
+    this.db = getFirestore();
+    this.collection = 'translation_corrections';
+    this.cacheService = new TranslationCacheService();
+  }
+
+  getMessageRef(roomId, messageId) {
+    return this.db.collection('chat_rooms').doc(roomId).collection('messages').doc(messageId);
+  }
+
+  /**
+   * 驗證修正輸入
+   * @param {Object} data - { roomId, messageId, targetLang, correctedText }
+   * @returns {string|null} - 錯誤訊息或 null
+   */
+  validateCorrection(data) {
+    for (const field of ['roomId', 'messageId', 'targetLang']) {
+      if (!data[field] || typeof data[field] !== 'string') {
+        return `Missing or invalid "${field}" parameter`;
+      }
+    }
+
+    if (!data.correctedText || typeof data.correctedText !== 'string' || !data.correctedText.trim()) {
+      return 'Missing or invalid "correctedText" parameter';
+    }
+    if (data.correctedText.length > MAX_CORRECTION_LENGTH) {
+      return `"correctedText" must be at most ${MAX_CORRECTION_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * 提出修正
+   * @param {Object} data - { roomId, messageId, targetLang, correctedText }
+   * @param {string} authorId - 提出者
+   * @returns {Promise<{correction?: Object, error?: string, status?: number}>}
+   *   訊息不存在或沒有該語言譯文時回傳 error 與對應的 HTTP 狀態碼
+   */
+  async createCorrection(data, authorId) {
+    const messageDoc = await this.getMessageRef(data.roomId, data.messageId).get();
+    if (!messageDoc.exists) {
+      return { error: 'Message not found', status: 404 };
+    }
+
+    const messageData = messageDoc.data();
+    const current = messageData.translations && messageData.translations[data.targetLang];
+    if (!current || !current.text) {
+      return { error: `Bad Request: Message has no "${data.targetLang}" translation`, status: 400 };
+    }
+
+    const correctedText = data.correctedText.trim();
+    if (correctedText === current.text) {
+      return { error: 'Bad Request: Correction is identical to the current translation', status: 400 };
+    }
+
+    const correction = {
+      roomId: data.roomId,
+      messageId: data.messageId,
+      targetLang: data.targetLang,
+      register: current.register || null,
+      originalText: messageData.messageText,
+      previousTranslation: current.text,
+      correctedText,
+      authorId,
+      status: 'pending',
+    };
+
+    const ref = await this.db.collection(this.collection).add({
+      ...correction,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return { correction: { id: ref.id, ...correction } };
+  }
+
+  /**
+   * 列出修正（依建立時間由新到舊）
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - 狀態（預設 pending）
+   * @param {string} [filters.roomId] - 聊天室 ID
+   * @param {number} [filters.limit] - 最多筆數（限制在 1 到 MAX_CORRECTIONS_PAGE_SIZE 之間）
+   * @returns {Promise<Object[]>}
+   */
+  async listCorrections({ status = 'pending', roomId = null, limit = 50 } = {}) {
+    let query = this.db.collection(this.collection).where('status', '==', status);
+    if (roomId) {
+      query = query.where('roomId', '==', roomId);
+    }
+
+    // 先排序再限制筆數，才能取到最新的修正（複合索引定義於 firestore.indexes.json）
+    const pageSize = Math.min(Math.max(limit, 1), MAX_CORRECTIONS_PAGE_SIZE);
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize).get();
+    return snapshot.docs.map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+        reviewedAt: data.reviewedAt ? data.reviewedAt.toDate().toISOString() : null,
+      };
+    });
+  }
+
+  /**
+   * 核准修正：覆寫訊息譯文並儲存修正覆寫
+   * @param {string} correctionId - 修正 ID
+   * @param {string} reviewerId - 審核者
+   * @param {string} [note] - 審核備註
+   * @returns {Promise<{correction?: Object, error?: string, status?: number}>}
+   */
+  async approveCorrection(correctionId, reviewerId, note = null) {
+    const correctionRef = this.db.collection(this.collection).doc(correctionId);
+
+    // 修正狀態與訊息譯文在同一個交易中更新，避免重複核准
+    const outcome = await this.db.runTransaction(async (transaction) => {
+      const correctionDoc = await transaction.get(correctionRef);
+      if (!correctionDoc.exists) {
+        return { error: 'Correction not found', status: 404 };
+      }
+
+      const correction = correctionDoc.data();
+      if (correction.status !== 'pending') {
+        return { error: `Conflict: Correction is already ${correction.status}`, status: 409 };
+      }
+
+      const messageRef = this.getMessageRef(correction.roomId, correction.messageId);
+      const messageDoc = await transaction.get(messageRef);
+      if (messageDoc.exists) {
+        const messageData = messageDoc.data();
+        const current = (messageData.translations && messageData.translations[correction.targetLang]) || {};
+        const updateData = {
+          [`translations.${correction.targetLang}`]: {
+            ...current,
+            text: correction.correctedText,
+            provider: 'correction',
+            correctionId,
+            at: Timestamp.now(),
+          },
+        };
+
+        // translatedText 顯示的是同一個譯文時一併更新
+        if (messageData.translatedText && messageData.translatedText === correction.previousTranslation) {
+          updateData.translatedText = correction.correctedText;
+        }
+        transaction.update(messageRef, updateData);
+      }
+
+      transaction.update(correctionRef, {
+        status: 'approved',
+        reviewedBy: reviewerId,
+        reviewedAt: FieldValue.serverTimestamp(),
+        reviewNote: note,
+      });
+
+      return { correction: { id: correctionId, ...correction, status: 'approved' }, messageUpdated: messageDoc.exists };
+    });
+
+    if (outcome.error) {
+      return outcome;
+    }
+
+    // 儲存修正覆寫（在交易之外，只影響相同語氣的譯文）
+    const { correction } = outcome;
+    let overrideKey = null;
+    if (correction.originalText) {
+      overrideKey = await this.cacheService.applyCorrection(
+        correction.originalText,
+        correction.targetLang,
+        correction.register || null,
+        correction.correctedText,
+        correctionId
+      );
+      await correctionRef.update({ overrideKey });
+    }
+
+    return { correction, messageUpdated: outcome.messageUpdated, overrideKey };
+  }
+
+  /**
+   * 駁回修正
+   * @param {string} correctionId - 修正 ID
+   * @param {string} reviewerId - 審核者
+   * @param {string} [note] - 審核備註
+   * @returns {Promise<{correction?: Object, error?: string, status?: number}>}
+   */
+  async rejectCorrection(correctionId, reviewerId, note = null) {
+    const correctionRef = this.db.collection(this.collection).doc(correctionId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const correctionDoc = await transaction.get(correctionRef);
+      if (!correctionDoc.exists) {
+        return { error: 'Correction not found', status: 404 };
+      }
+
+      const correction = correctionDoc.data();
+      if (correction.status !== 'pending') {
+        return { error: `Conflict: Correction is already ${correction.status}`, status: 409 };
+      }
+
+      transaction.update(correctionRef, {
+        status: 'rejected',
+        reviewedBy: reviewerId,
+        reviewedAt: FieldValue.serverTimestamp(),
+        reviewNote: note,
+      });
+
+      return { correction: { id: correctionId, ...correction, status: 'rejected' } };
+    });
+  }
+}
+
+module.exports = {
+  TranslationCorrectionService,
+  CORRECTION_STATUSES,
+};
@@ -1,38 +1,42 @@
 /**
  * Translation Service
  *
- * 負責與 OpenAI API 互動，執行文字翻譯
- * 包含錯誤處理、重試邏輯、成本控制
+ * 透過可插拔的 provider 鏈執行文字翻譯（OpenAI、本地詞典、通用 HTTP）
+ * 包含錯誤處理、重試邏輯、provider fallback、成本控制
  *
  * 使用 Google Cloud Secret Manager 儲存 API 金鑰
  */
 
-const OpenAI = require('openai');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
+const { createProviderChain } = require('./providers');
+const { GlossaryService } = require('./glossaryService');
+const TranslationCacheService = require('./translationCacheService');
+const { restorePlaceholders } = require('../utils/placeholders');
+const { protectSpans } = require('../utils/protectedSpans');
+const { TRANSLATION_REGISTERS } = require('./userPreferenceService');
+
+// 可重試的錯誤代碼（同一 provider 內重試）
+// PLACEHOLDER_MISSING：譯文遺失受保護片段的佔位符
+const RETRYABLE_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'PLACEHOLDER_MISSING'];
 
 class TranslationService {
   /**
    * @param {string} apiKey - OpenAI API 金鑰（從 Secret Manager 傳入）
+   * @param {Object} [options]
+   * @param {Object[]} [options.providers] - 自訂 provider 鏈（預設依 TRANSLATION_PROVIDERS 建立）
    */
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('OpenAI API key is required');
-    }
-
-    this.openai = new OpenAI({
-      apiKey: apiKey,
-    });
+  constructor(apiKey, options = {}) {
+    this.providers = options.providers || createProviderChain({ apiKey });
 
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS || '500');
-    // 提高 temperature 以獲得更自然、更有創造性的翻譯
-    this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE || '0.7');
+    // 主要 provider 的模型名稱與 prompt 版本（用於日誌與快取鍵）
+    this.model = this.providers[0].model;
+    this.promptVersion = this.providers[0].promptVersion || null;
     this.maxRetries = parseInt(process.env.MAX_RETRY_ATTEMPTS || '2');
     this.retryDelay = parseInt(process.env.RETRY_DELAY_MS || '1000');
 
-    // 翻譯快取（使用 Firestore 或 Memory）
-    this.cache = new Map();
-    this.cacheTTL = parseInt(process.env.TRANSLATION_CACHE_TTL || '600') * 1000;
+    // 翻譯快取（記憶體 LRU + Firestore 兩層，可注入自訂實作）
+    this.cacheService = options.cacheService || null;
   }
 
   /**
@@ -52,237 +56,352 @@ class TranslationService {
    * @param {string} text - 原文
    * @param {string} sourceLang - 來源語言（ISO 碼，可使用 'auto' 自動偵測）
    * @param {string} targetLang - 目標語言（ISO 碼）
-   * @returns {Promise<{text: string, model: string, at: Date}>}
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - 聊天室 ID（套用該聊天室的詞彙覆寫）
+   * @param {Object[]} [options.glossary] - 已比對好的詞彙（對應 targetLang，省略時自動載入）
+   * @param {{speaker: string, text: string}[]} [options.context] - 對話上下文（只供參考，不翻譯）
+   * @param {string} [options.register] - 語氣：casual | polite | honorific（省略時由模型自行判斷）
+   * @param {boolean} [options.cacheChecked] - 呼叫端已用相同選項查過快取且未命中（不再重複查詢）
+   * @returns {Promise<{text: string, model: string, provider: string, register: string|null, at: Date, cached: boolean}>}
    */
-  async translate(text, sourceLang, targetLang) {
+  async translate(text, sourceLang, targetLang, options = {}) {
     // 語言自動偵測：如果來源語言等於目標語言，跳過翻譯
     if (sourceLang === targetLang) {
       console.log(`[Translation] Skipping translation: source and target are the same (${sourceLang})`);
       return null;
     }
 
-    // 檢查快取
-    const cacheKey = this.getCacheKey(text, targetLang);
-    const cached = this.getFromCache(cacheKey);
+    const register = this.resolveRegister(options.register);
+
+    // 載入詞彙表（全域 + 聊天室覆寫）
+    const glossary = options.glossary || await this.loadGlossary(text, targetLang, options.roomId);
+
+    // 檢查快取（來源語言、模型、prompt 版本、詞彙、語氣或對話上下文不同時使用不同的快取鍵）
+    const context = options.context || [];
+    const cached = options.cacheChecked ? null : await this.lookupCache(text, sourceLang, targetLang, { glossary, register, context });
     if (cached) {
-      console.log(`[Translation] Cache hit for ${targetLang}`);
       return cached;
     }
 
-    // 執行翻譯（帶重試）
-    let lastError;
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+    // 依序嘗試 provider 鏈
+    const result = await this.translateWithProviders(text, sourceLang, targetLang, { glossary, context, register });
+
+    await this.storeCache(text, sourceLang, targetLang, result, { glossary, register, context });
+    return { ...result, cached: false };
+  }
+
+  /**
+   * 串流翻譯：譯文片段產生時即透過 onDelta 送出，結束後回傳完整結果
+   *
+   * 只有 provider 鏈中的第一個 provider 支援 translateStream 時才會串流；
+   * 否則（或串流失敗時）改走一般的 fallback 鏈，完整譯文以單一片段送出
+   * 受保護片段的佔位符完整出現後才還原並送出，不會送出半個佔位符
+   * 詞彙表在串流結束後驗證；修正後的譯文與已送出的片段不一致時 replaced 為 true，
+   * 呼叫端應以回傳的完整譯文取代已顯示的內容
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言（ISO 碼，可使用 'auto' 自動偵測）
+   * @param {string} targetLang - 目標語言（ISO 碼）
+   * @param {Object} [options] - 與 translate 相同（roomId、glossary、context、register）
+   * @param {function(string): void} onDelta - 收到新的譯文片段時呼叫
+   * @returns {Promise<{text: string, model: string, provider: string, register: string|null, at: Date, tokensUsed: number, duration: number, cached: boolean, streamed: boolean, replaced: boolean}|null>}
+   *   快取命中時不呼叫 onDelta，直接回傳 cached 為 true 的結果
+   */
+  async translateStream(text, sourceLang, targetLang, options = {}, onDelta) {
+    if (sourceLang === targetLang) {
+      console.log(`[Translation] Skipping translation: source and target are the same (${sourceLang})`);
+      return null;
+    }
+
+    const register = this.resolveRegister(options.register);
+    const glossary = options.glossary || await this.loadGlossary(text, targetLang, options.roomId);
+    const providerOptions = { glossary, context: options.context || [], register };
+
+    const cached = await this.lookupCache(text, sourceLang, targetLang, providerOptions);
+    if (cached) {
+      return { ...cached, streamed: false, replaced: false };
+    }
+
+    let emitted = '';
+    const emit = (chunk) => {
+      if (chunk) {
+        emitted += chunk;
+        onDelta(chunk);
+      }
+    };
+
+    let result = null;
+    let streamed = false;
+    const [provider] = this.providers;
+    if (typeof provider.translateStream === 'function') {
+      const protectedText = protectSpans(text);
+      let raw = '';
+
       try {
-        const result = await this.translateWithOpenAI(text, sourceLang, targetLang);
-        
-        // 寫入快取
-        this.setCache(cacheKey, result);
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        console.error(`[Translation] Attempt ${attempt + 1} failed:`, error.message);
-        
-        if (attempt < this.maxRetries) {
-          // 指數退避
-          const delay = this.retryDelay * Math.pow(2, attempt);
-          console.log(`[Translation] Retrying in ${delay}ms...`);
-          await this.sleep(delay);
+        const streamResult = await provider.translateStream(protectedText.text, sourceLang, targetLang, providerOptions, (delta) => {
+          raw += delta;
+          const streamable = this.getStreamableText(raw.trimStart(), protectedText.replacements);
+          if (streamable.startsWith(emitted)) {
+            emit(streamable.slice(emitted.length));
+          }
+        });
+
+        const restored = restorePlaceholders(streamResult.text, protectedText.replacements);
+        if (restored.missing.length > 0) {
+          const error = new Error(`Translation dropped placeholders: ${restored.missing.join(', ')}`);
+          error.code = 'PLACEHOLDER_MISSING';
+          throw error;
         }
+
+        const enforced = await this.enforceGlossary(
+          provider,
+          { ...streamResult, text: restored.text },
+          protectedText,
+          sourceLang,
+          targetLang,
+          providerOptions
+        );
+
+        result = {
+          text: enforced.text,
+          model: enforced.model || provider.model,
+          provider: provider.name,
+          register,
+          at: admin.firestore.Timestamp.now(),
+          tokensUsed: enforced.tokensUsed || 0,
+          duration: enforced.duration || 0,
+        };
+        streamed = true;
+      } catch (error) {
+        console.error(`[Translation] Streaming with ${provider.name} failed, falling back:`, error.message);
       }
     }
 
-    // 所有重試都失敗
-    throw new Error(`Translation failed after ${this.maxRetries + 1} attempts: ${lastError.message}`);
+    if (!result) {
+      result = await this.translateWithProviders(text, sourceLang, targetLang, providerOptions);
+    }
+
+    await this.storeCache(text, sourceLang, targetLang, result, providerOptions);
+    return this.finishStream(result, emitted, emit, streamed);
   }
 
   /**
-   * 使用 OpenAI API 翻譯
+   * 取得目前可以送出的串流譯文（去除尚未完整的佔位符，並還原已完整的佔位符）
+   * @param {string} raw - 目前收到的原始譯文
+   * @param {{token: string, value: string}[]} replacements - 佔位符與還原值
+   * @returns {string}
    */
-  async translateWithOpenAI(text, sourceLang, targetLang) {
-    const languageNames = {
-      'zh-TW': '繁體中文',
-      'en': 'English',
-      'ja': '日本語',
-      'ko': '한국어',
-      'th': 'ไทย',
-      'vi': 'Tiếng Việt',
-      'id': 'Bahasa Indonesia',
-      'ms': 'Bahasa Melayu',
-      'auto': 'the source language (auto-detect)',
-    };
-
-    const targetLangName = languageNames[targetLang] || targetLang;
-    const sourceLangName = languageNames[sourceLang] || sourceLang;
+  getStreamableText(raw, replacements) {
+    let safe = raw;
+    const open = safe.lastIndexOf('[[');
+    if (open !== -1 && safe.indexOf(']]', open) === -1) {
+      safe = safe.slice(0, open);
+    } else if (safe.endsWith('[')) {
+      safe = safe.slice(0, -1);
+    }
+    return restorePlaceholders(safe, replacements).text;
+  }
 
-    // ✅ 修改 prompt：要求自然母語表達，而非逐字直譯
-    // 如果來源語言是 'auto'，讓 OpenAI 自動偵測
-    const fromClause = sourceLang === 'auto'
-      ? `Translate the following text to ${targetLangName}`
-      : `Translate the following text from ${sourceLangName} to ${targetLangName}`;
+  /**
+   * 串流結束：送出尚未送出的譯文，並標記是否需要以完整譯文取代已送出的片段
+   */
+  finishStream(result, emitted, emit, streamed) {
+    const replaced = emitted.length > 0 && !result.text.startsWith(emitted);
+    if (!replaced) {
+      emit(result.text.slice(emitted.length));
+    }
+    return { ...result, cached: false, streamed, replaced };
+  }
 
-    const prompt = `🎯 TRANSLATION TASK: ${fromClause}
+  /**
+   * 驗證語氣參數
+   * @param {string|null|undefined} register
+   * @returns {string|null}
+   */
+  resolveRegister(register) {
+    if (register && !TRANSLATION_REGISTERS.includes(register)) {
+      throw new Error(`Unsupported translation register: ${register}`);
+    }
+    return register || null;
+  }
 
-⚠️ CRITICAL REQUIREMENT: Translate for CULTURAL EQUIVALENCE and NATURAL EXPRESSION, NOT literal word-for-word conversion.
+  /**
+   * 依 fallback 順序嘗試每個 provider
+   * 前一個 provider 失敗（例如 429/5xx）或無法處理時，改用下一個
+   *
+   * 電話、網址、代碼、emoji 等受保護片段會先替換為佔位符，翻譯後再還原
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {Object} [options]
+   * @param {Object[]} [options.glossary] - 必須遵守的詞彙譯法
+   * @param {Object[]} [options.context] - 對話上下文
+   * @param {string|null} [options.register] - 語氣
+   * @returns {Promise<{text: string, model: string, provider: string, register: string|null, at: Date, tokensUsed: number, duration: number}>}
+   */
+  async translateWithProviders(text, sourceLang, targetLang, options = {}) {
+    const failures = [];
+    const glossary = options.glossary || [];
+    const register = options.register || null;
+    const providerOptions = { glossary, context: options.context || [], register };
+    const protectedText = protectSpans(text);
+
+    if (protectedText.replacements.length > 0) {
+      console.log(`[Translation] Protected ${protectedText.replacements.length} spans: ${protectedText.replacements.map((r) => r.type).join(', ')}`);
+    }
 
-🚨 ABSOLUTE PROHIBITIONS:
-1. 🚫 DO NOT translate literally or word-for-word
-2. 🚫 DO NOT use unnatural expressions that native speakers don't use
-3. 🚫 DO NOT ignore cultural context
+    for (const provider of this.providers) {
+      try {
+        let result = await this.translateWithRetry(
+          provider,
+          protectedText.text,
+          sourceLang,
+          targetLang,
+          providerOptions,
+          protectedText.replacements
+        );
+
+        if (!result) {
+          console.log(`[Translation] Provider ${provider.name} has no translation, trying next provider`);
+          continue;
+        }
 
-✅ MANDATORY REQUIREMENTS:
-1. ✅ Use EXACT expressions that native ${targetLangName} speakers use in daily conversation
-2. ✅ For greetings/celebrations/idioms/social expressions → Find the CULTURAL EQUIVALENT
-3. ✅ Output must sound EXACTLY like a native speaker wrote it
-4. ✅ Natural expression > Literal accuracy (ALWAYS prioritize naturalness)
+        result = await this.enforceGlossary(provider, result, protectedText, sourceLang, targetLang, providerOptions);
 
-🎯 TRANSLATION PROCESS:
-1. Identify the COMMUNICATIVE INTENT and CULTURAL CONTEXT
-2. Ask yourself: "What would a native ${targetLangName} speaker say in this exact situation?"
-3. Use that natural expression (even if completely different from source words)
+        return {
+          text: result.text,
+          model: result.model || provider.model,
+          provider: provider.name,
+          register,
+          at: admin.firestore.Timestamp.now(),
+          tokensUsed: result.tokensUsed || 0,
+          duration: result.duration || 0,
+        };
+      } catch (error) {
+        failures.push({ provider: provider.name, error });
+        console.error(`[Translation] Provider ${provider.name} failed, falling back:`, error.message);
+      }
+    }
 
-📋 QUICK REFERENCE EXAMPLES:
+    // 所有 provider 都失敗
+    const summary = failures.length > 0
+      ? failures.map(({ provider, error }) => `${provider}: ${error.message}`).join('; ')
+      : 'no provider could translate this text';
+    const error = new Error(`Translation failed with all providers: ${summary}`);
+    if (failures.length > 0) {
+      error.status = failures[0].error.status;
+    }
+    throw error;
+  }
 
-Chinese → Japanese:
-- "新年快樂" → "あけましておめでとうございます" (NOT "新年おめでとうございます")
-- "謝謝" → "ありがとうございます" (NOT "感謝します")
-- "吃飽了嗎？" → "お元気ですか？" (translate the FUNCTION, not the words)
+  /**
+   * 使用單一 provider 翻譯（暫時性錯誤以指數退避重試）
+   * 429 與認證錯誤不重試，直接交給下一個 provider
+   * 譯文遺失任何佔位符時視為失敗並重試，成功時回傳已還原佔位符的譯文
+   * @param {{token: string, value: string}[]} [replacements] - 需驗證並還原的佔位符
+   */
+  async translateWithRetry(provider, text, sourceLang, targetLang, providerOptions = {}, replacements = []) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        const result = await provider.translate(text, sourceLang, targetLang, providerOptions);
+        if (!result || replacements.length === 0) {
+          return result;
+        }
 
-English → Chinese:
-- "How are you?" → "你好嗎？" or "最近怎麼樣？" (NOT "你怎麼樣？")
+        const restored = restorePlaceholders(result.text, replacements);
+        if (restored.missing.length > 0) {
+          const error = new Error(`Translation dropped placeholders: ${restored.missing.join(', ')}`);
+          error.code = 'PLACEHOLDER_MISSING';
+          throw error;
+        }
 
-⚠️ QUALITY CHECK: Before submitting, ask yourself:
-- "Would a native ${targetLangName} speaker actually say this?"
-- "Does this sound natural, or does it sound like a translation?"
-- If it sounds like a translation → REVISE until it sounds natural
+        return { ...result, text: restored.text };
+      } catch (error) {
+        lastError = error;
+        console.error(`[Translation] ${provider.name} attempt ${attempt + 1} failed:`, error.message);
 
-📤 OUTPUT FORMAT: Return ONLY the translated text. No explanations, notes, quotation marks, or additional content.
+        if (!this.isRetryableError(error)) {
+          break;
+        }
 
-📝 TEXT TO TRANSLATE:
-${text}`;
+        if (attempt < this.maxRetries) {
+          // 指數退避
+          const delay = this.retryDelay * Math.pow(2, attempt);
+          console.log(`[Translation] Retrying in ${delay}ms...`);
+          await this.sleep(delay);
+        }
+      }
+    }
 
-    const startTime = Date.now();
+    throw lastError;
+  }
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            // ✅ 專業翻譯官人格設定：20 年經驗的同聲傳譯專家
-            content: `🎯 ROLE: You are a world-renowned simultaneous interpreter with 20+ years of experience in cultural equivalence translation. Your expertise is making translations sound EXACTLY like a native speaker wrote them, not like a translation.
-
-🚨 CRITICAL MISSION: Your translations must be INDISTINGUISHABLE from text written by a native speaker of the target language. Literal translations are considered FAILURES.
-
-⚠️ ABSOLUTE PROHIBITIONS (NEVER DO THESE):
-1. 🚫 FORBIDDEN: Word-for-word (literal) translation
-2. 🚫 FORBIDDEN: Grammatically correct but unnatural expressions that "no one actually says"
-3. 🚫 FORBIDDEN: Ignoring cultural differences in mechanical conversion
-4. 🚫 FORBIDDEN: Using dictionary translations for idioms, greetings, or social expressions
-
-✅ MANDATORY REQUIREMENTS (ALWAYS DO THESE):
-1. ✅ REQUIRED: For idioms, slang, greetings, social expressions → Use the FUNCTIONAL EQUIVALENT in target language
-2. ✅ REQUIRED: Consider cultural background and linguistic habits of target language
-3. ✅ REQUIRED: Ensure output sounds like natural native speaker expression
-4. ✅ REQUIRED: Prioritize NATURAL EXPRESSION over literal accuracy (100% of the time)
-5. ✅ REQUIRED: Think "What would a native speaker say in this exact situation?"
-
-🔴 CRITICAL EXAMPLES - MASTER THESE PATTERNS:
-
-Example 1: Chinese New Year Greeting → Japanese
-- Input: "新年快樂"
-- ❌ FORBIDDEN (literal): "新年おめでとうございます"
-- ✅ REQUIRED (natural): "あけましておめでとうございます"
-- Reason: Japanese culture uses "あけましておめでとうございます" for New Year greetings, NOT the literal translation
-
-Example 2: Chinese Thanks → Japanese
-- Input: "謝謝"
-- ❌ FORBIDDEN (literal): "感謝します"
-- ✅ REQUIRED (natural): "ありがとうございます"
-- Reason: "ありがとうございます" is the natural, everyday expression Japanese people use
-
-Example 3: English Greeting → Chinese
-- Input: "How are you?"
-- ❌ FORBIDDEN (literal): "你怎麼樣？"
-- ✅ REQUIRED (natural): "你好嗎？" or "最近怎麼樣？"
-- Reason: Chinese speakers use these natural greetings, not the literal translation
-
-Example 4: Chinese Casual Greeting → Japanese
-- Input: "吃飽了嗎？" (Have you eaten?)
-- ❌ FORBIDDEN (literal): "食べましたか？"
-- ✅ REQUIRED (natural): "お元気ですか？" or "調子はどうですか？"
-- Reason: This is a cultural greeting in Chinese; translate the FUNCTION (checking on someone), not the words
-
-🎯 PROFESSIONAL TRANSLATION PROCESS:
-1. ANALYZE: Identify the COMMUNICATIVE INTENT and CULTURAL CONTEXT (not just words)
-2. THINK: "What would a native speaker of [target language] say in this exact situation?"
-3. TRANSLATE: Use that natural expression (even if completely different from source words)
-4. VERIFY: Does this sound like something a native speaker would actually say? If NO → revise
-
-🏆 QUALITY STANDARD: Your translation should pass the "Native Speaker Test":
-- If a native speaker reads your translation, they should think it was originally written in their language
-- If it sounds like a translation, you have FAILED
-
-REMEMBER: You are a cultural bridge, not a dictionary. Translate MEANING and FUNCTION, not words.`,
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-      });
-
-      const duration = Date.now() - startTime;
-      const translatedText = response.choices[0].message.content.trim();
-
-      console.log(`[Translation] Translated to ${targetLang} in ${duration}ms`);
-      console.log(`[Translation] Tokens used: ${response.usage.total_tokens}`);
+  /**
+   * 驗證譯文是否遵守詞彙表
+   *
+   * 1. 譯文已使用指定譯法 → 直接回傳
+   * 2. 否則帶上未遵守的詞彙再請 provider 翻譯一次
+   * 3. 仍未遵守 → 強制模式：將詞彙替換為佔位符後翻譯，再還原為指定譯法
+   * @param {{text: string, replacements: Object[]}} protectedText - 已替換受保護片段的原文
+   * @param {{glossary: Object[], context: Object[], register: string|null}} providerOptions - 傳給 provider 的選項
+   */
+  async enforceGlossary(provider, result, protectedText, sourceLang, targetLang, providerOptions) {
+    const { glossary } = providerOptions;
+    if (glossary.length === 0) {
+      return result;
+    }
 
-      return {
-        text: translatedText,
-        model: this.model,
-        at: admin.firestore.Timestamp.now(),
-        tokensUsed: response.usage.total_tokens,
-        duration,
-      };
+    const glossaryService = this.getGlossaryService();
+    const violations = glossaryService.findViolations(result.text, glossary);
+    if (violations.length === 0) {
+      return result;
+    }
 
-    } catch (error) {
-      const duration = Date.now() - startTime;
-
-      // 詳細的錯誤日誌 - 記錄完整的錯誤對象
-      console.error(`[Translation] Error after ${duration}ms:`, {
-        status: error.status,
-        code: error.code,
-        message: error.message,
-        type: error.type,
-        name: error.name,
-        // 記錄完整的錯誤對象以便診斷
-        fullError: JSON.stringify(error, Object.getOwnPropertyNames(error)),
-      });
-
-      // 分類錯誤並提供清晰的訊息
-      let errorMessage = 'Unknown error';
-
-      if (error.status === 429) {
-        errorMessage = 'OpenAI API quota exceeded. Please check billing at https://platform.openai.com/account/billing';
-      } else if (error.status === 401 || error.status === 403) {
-        errorMessage = 'OpenAI API authentication failed. Please check API key.';
-      } else if (error.status === 503 || error.status === 500) {
-        errorMessage = 'OpenAI API is temporarily unavailable. Please retry later.';
-      } else if (error.code === 'ENOTFOUND') {
-        errorMessage = 'DNS resolution failed. Check network connectivity.';
-      } else if (error.code === 'ECONNREFUSED') {
-        errorMessage = 'Connection refused. OpenAI API may be down.';
-      } else if (error.code === 'ETIMEDOUT') {
-        errorMessage = 'Request timeout. Network may be slow.';
-      } else {
-        errorMessage = `OpenAI API error: ${error.message}`;
+    console.warn(`[Translation] ${provider.name} ignored glossary terms: ${violations.map((v) => v.term).join(', ')}`);
+    let tokensUsed = result.tokensUsed || 0;
+
+    const retried = await this.translateWithRetry(provider, protectedText.text, sourceLang, targetLang, {
+      ...providerOptions,
+      glossaryViolations: violations,
+    }, protectedText.replacements);
+    if (retried) {
+      tokensUsed += retried.tokensUsed || 0;
+      if (glossaryService.findViolations(retried.text, glossary).length === 0) {
+        return { ...retried, tokensUsed };
       }
+    }
+
+    console.warn(`[Translation] Enforcing glossary with placeholders for ${targetLang}`);
+    const masked = glossaryService.maskTerms(protectedText.text, glossary);
+    const maskedResult = await this.translateWithRetry(
+      provider,
+      masked.text,
+      sourceLang,
+      targetLang,
+      { context: providerOptions.context, register: providerOptions.register },
+      [...masked.replacements, ...protectedText.replacements]
+    );
+    if (!maskedResult) {
+      throw new Error(`Provider ${provider.name} could not apply the glossary`);
+    }
+
+    return {
+      ...maskedResult,
+      tokensUsed: tokensUsed + (maskedResult.tokensUsed || 0),
+    };
+  }
 
-      throw new Error(errorMessage);
+  /**
+   * 判斷錯誤是否值得在同一 provider 內重試
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (error.status) {
+      return error.status >= 500;
     }
+    // 沒有狀態碼：網路錯誤或非預期錯誤，視為暫時性
+    return !error.code || RETRYABLE_ERROR_CODES.includes(error.code);
   }
 
   /**
@@ -291,71 +410,229 @@ REMEMBER: You are a cultural bridge, not a dictionary. Translate MEANING and FUN
    * @param {string} sourceLang - 來源語言
    * @param {string[]} targetLangs - 目標語言清單
    * @param {number} maxConcurrent - 最大併發數
+   * @param {Object} [options] - 傳給 translate 的選項（例如 roomId、context、register）
+   *   registers 可為個別語言指定語氣（{ [lang]: register }），未列出的語言使用 register
    * @returns {Promise<Object>} - { [lang]: {text, model, at} }
    */
-  async translateBatch(text, sourceLang, targetLangs, maxConcurrent = 2) {
+  async translateBatch(text, sourceLang, targetLangs, maxConcurrent = 2, options = {}) {
+    const registers = options.registers || {};
+    const jobs = targetLangs.map((targetLang) => ({
+      text,
+      sourceLang,
+      targetLang,
+      options: {
+        roomId: options.roomId,
+        context: options.context,
+        register: targetLang in registers ? registers[targetLang] : options.register,
+      },
+    }));
+    const outcomes = await this.translateJobs(jobs, maxConcurrent);
+
     const results = {};
-    const queue = [...targetLangs];
+    outcomes.forEach((outcome, index) => {
+      const targetLang = targetLangs[index];
+      if (outcome.error) {
+        results[targetLang] = {
+          error: outcome.error.message,
+          at: admin.firestore.Timestamp.now(),
+        };
+      } else if (outcome.result) {
+        results[targetLang] = outcome.result;
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * 併發執行多個翻譯任務（多段文字 × 多個目標語言）
+   * @param {{text: string, sourceLang: string, targetLang: string, options?: Object}[]} jobs - 翻譯任務
+   * @param {number} maxConcurrent - 最大併發數
+   * @returns {Promise<{result?: Object|null, error?: Error}[]>} - 與 jobs 順序對應的結果
+   */
+  async translateJobs(jobs, maxConcurrent = 2) {
+    const outcomes = new Array(jobs.length);
+    const queue = jobs.map((job, index) => ({ job, index }));
 
     // 併發控制
     const workers = [];
-    for (let i = 0; i < Math.min(maxConcurrent, targetLangs.length); i++) {
-      workers.push(this.worker(queue, text, sourceLang, results));
+    for (let i = 0; i < Math.min(maxConcurrent, jobs.length); i++) {
+      workers.push(this.worker(queue, outcomes));
     }
 
     await Promise.all(workers);
-    return results;
+    return outcomes;
   }
 
   /**
    * Worker 函數（處理佇列中的翻譯任務）
    */
-  async worker(queue, text, sourceLang, results) {
+  async worker(queue, outcomes) {
     while (queue.length > 0) {
-      const targetLang = queue.shift();
-      if (!targetLang) break;
+      const item = queue.shift();
+      if (!item) break;
 
+      const { job, index } = item;
       try {
-        const result = await this.translate(text, sourceLang, targetLang);
-        if (result) {
-          results[targetLang] = result;
-        }
+        const result = await this.translate(job.text, job.sourceLang, job.targetLang, job.options || {});
+        outcomes[index] = { result };
       } catch (error) {
-        console.error(`[Translation] Failed to translate to ${targetLang}:`, error);
-        results[targetLang] = {
-          error: error.message,
-          at: admin.firestore.Timestamp.now(),
-        };
+        console.error(`[Translation] Failed to translate to ${job.targetLang}:`, error);
+        outcomes[index] = { error };
       }
     }
   }
 
   /**
-   * 快取相關方法
+   * 詞彙表相關方法
+   */
+  getGlossaryService() {
+    if (!this.glossaryService) {
+      this.glossaryService = new GlossaryService();
+    }
+    return this.glossaryService;
+  }
+
+  async loadGlossary(text, targetLang, roomId) {
+    try {
+      return await this.getGlossaryService().getMatches(text, targetLang, roomId || null);
+    } catch (error) {
+      // 詞彙表讀取失敗不應影響翻譯功能
+      console.error('[Translation] Failed to load glossary:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 產生快取變體（詞彙或對話上下文不同時使用不同的快取鍵）
+   *
+   * 帶上下文翻譯的短回覆（例如「ok, there」）譯法取決於前文，不能與沒有上下文或其他對話的譯文共用
+   * @param {Object} options
+   * @param {Object[]} [options.glossary] - 已比對的詞彙
+   * @param {{speaker: string, text: string}[]} [options.context] - 對話上下文
+   * @returns {string}
+   */
+  getCacheVariant({ glossary = [], context = [] } = {}) {
+    const parts = [];
+    if (glossary.length > 0) {
+      parts.push(`glossary:${this.getGlossaryService().fingerprint(glossary)}`);
+    }
+    if (context.length > 0) {
+      const hash = crypto.createHash('sha256').update(JSON.stringify(context)).digest('hex').substring(0, 16);
+      parts.push(`context:${hash}`);
+    }
+    return parts.join('|');
+  }
+
+  /**
+   * 產生快取鍵選項（provider 名稱、模型與 prompt 版本 + 來源語言、語氣與變體）
+   * @param {string} sourceLang - 來源語言
+   * @param {{glossary?: Object[], register?: string|null, context?: Object[]}} [options]
+   * @param {Object} [provider] - 產生譯文的 provider（預設為主要 provider）
+   * @returns {{sourceLang: string, provider: string, model: string, promptVersion: string|null, register: string|null, variant: string}}
+   */
+  getCacheKeyOptions(sourceLang, options = {}, provider = this.providers[0]) {
+    return {
+      sourceLang,
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: provider.promptVersion || null,
+      register: options.register || null,
+      variant: this.getCacheVariant(options),
+    };
+  }
+
+  /**
+   * 快取相關方法（記憶體 LRU + Firestore，兩層共用同一個快取鍵）
    */
-  getCacheKey(text, targetLang) {
-    // 使用簡單的 hash（實際應用中可使用更好的 hash 函數）
-    return `${text.substring(0, 50)}_${targetLang}`;
+  getCacheService() {
+    if (!this.cacheService) {
+      this.cacheService = new TranslationCacheService();
+    }
+    return this.cacheService;
   }
 
-  getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
+  /**
+   * 查詢快取（先查核准的用戶修正，再查快取譯文；帶上下文但未命中時，再查預熱寫入的不帶上下文快取）
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {{glossary?: Object[], register?: string|null, context?: Object[]}} [options] - 決定快取鍵的選項
+   * @returns {Promise<Object|null>} - 與 translate 相同格式的結果（cached 為 true），未命中時為 null
+   */
+  async lookupCache(text, sourceLang, targetLang, options = {}) {
+    // 核准的用戶修正（同一語氣）優先於快取譯文
+    const override = await this.getCacheService().getOverride(text, targetLang, options.register || null);
+    if (override) {
+      console.log(`[Translation] Correction override hit for ${targetLang} (${override.tier})`);
+      return {
+        text: override.translatedText,
+        model: null,
+        provider: 'correction',
+        correctionId: override.correctionId,
+        register: options.register || null,
+        at: admin.firestore.Timestamp.now(),
+        tokensUsed: 0,
+        duration: 0,
+        cached: true,
+      };
+    }
 
-    // 檢查是否過期
-    if (Date.now() - cached.timestamp > this.cacheTTL) {
-      this.cache.delete(key);
+    const cacheService = this.getCacheService();
+    let entry = await cacheService.getEntry(text, targetLang, this.getCacheKeyOptions(sourceLang, options));
+
+    // 帶上下文時，預熱的常用短句（不依賴前文）仍可使用不帶上下文的快取
+    if (!entry && options.context && options.context.length > 0) {
+      const warmed = await cacheService.getEntry(
+        text,
+        targetLang,
+        this.getCacheKeyOptions(sourceLang, { ...options, context: [] })
+      );
+      entry = warmed && warmed.warmed ? warmed : null;
+    }
+    if (!entry) {
       return null;
     }
 
-    return cached.data;
+    console.log(`[Translation] Cache hit for ${targetLang} (${entry.tier})`);
+    return {
+      text: entry.translatedText,
+      model: entry.model,
+      provider: entry.provider,
+      register: options.register || null,
+      at: admin.firestore.Timestamp.now(),
+      tokensUsed: 0,
+      duration: 0,
+      cached: true,
+    };
   }
 
-  setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
+  /**
+   * 寫入快取
+   * 查詢一律使用主要 provider 的快取鍵，fallback provider（詞典、HTTP）的譯文不寫入，
+   * 避免主要 provider 恢復後仍持續回傳備援的譯文
+   * @param {string} text - 原文
+   * @param {string} sourceLang - 來源語言
+   * @param {string} targetLang - 目標語言
+   * @param {{text: string, provider: string, model: string}} result - 翻譯結果
+   * @param {{glossary?: Object[], register?: string|null, context?: Object[], warmed?: boolean}} [options] - 決定快取鍵的選項
+   *   warmed 表示由預熱工作寫入（帶上下文的查詢也可使用）
+   * @returns {Promise<boolean>} - 是否已寫入
+   */
+  async storeCache(text, sourceLang, targetLang, result, options = {}) {
+    const [primary] = this.providers;
+    if (result.provider !== primary.name) {
+      console.log(`[Translation] Skipping cache for fallback provider ${result.provider} (${targetLang})`);
+      return false;
+    }
+
+    await this.getCacheService().setTranslation(text, targetLang, result.text, {
+      provider: result.provider,
+      model: result.model,
+      warmed: !!options.warmed,
+      key: this.getCacheKeyOptions(sourceLang, options, primary),
     });
+    return true;
   }
 
   /**
@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const { getTtsVoice } = require('../utils/languages');
 
 /**
  * TTS 服務
@@ -24,26 +25,12 @@ class TtsService {
   }
 
   /**
-   * 語音映射表（根據語言選擇合適的語音）
-   */
-  static VOICE_MAP = {
-    'zh-TW': 'nova',    // 繁體中文 - 女聲，清晰
-    'en': 'alloy',      // 英文 - 中性，通用
-    'ja': 'shimmer',    // 日文 - 女聲，柔和
-    'ko': 'nova',       // 韓文 - 女聲，清晰
-    'vi': 'alloy',      // 越南文 - 中性，通用
-    'th': 'nova',       // 泰文 - 女聲，清晰
-    'ms': 'alloy',      // 馬來文 - 中性，通用
-    'id': 'alloy',      // 印尼文 - 中性，通用
-  };
-
-  /**
-   * 獲取語音類型
+   * 獲取語音類型（依語言註冊表的預設語音）
    * @param {string} language - 語言代碼
    * @returns {string} 語音類型
    */
   getVoice(language) {
-    return TtsService.VOICE_MAP[language] || 'alloy';
+    return getTtsVoice(language);
   }
 
   /**
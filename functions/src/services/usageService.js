@@ -0,0 +1,234 @@
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+// 用量紀錄的功能名稱
+const USAGE_FEATURES = ['translate', 'translateBatch', 'translateMessage', 'autoTranslate', 'stt', 'sttAndTranslate', 'tts', 'quickReply', 'resolveTranslations', 'retranslate', 'supportTranslate', 'translateHistory'];
+
+// 彙總欄位
+const USAGE_METRICS = ['requests', 'cachedRequests', 'tokensUsed', 'audioSeconds', 'ttsCharacters'];
+
+/**
+ * 用量紀錄服務
+ *
+ * 每次呼叫寫入一筆 usage_records，並累加兩種每日彙總：
+ * - usage_daily/{date}_{userId}：每位用戶的每日用量（含各功能明細 features.{feature}）
+ * - usage_daily_features/{date}_{feature}_{shard}：每個功能的每日總用量，分散到 USAGE_FEATURE_SHARDS 個分片
+ *   （所有用戶共用同一個功能計數，單一文件每秒約只能寫入一次；查詢時加總所有分片）
+ *
+ * 日期依 USAGE_TIMEZONE（預設 Asia/Taipei）切分，格式 YYYY-MM-DD
+ * 紀錄失敗只寫日誌，不影響翻譯 / 語音功能本身
+ */
+class UsageService {
+  constructor() {
+    this.db = getFirestore();
+    this.recordsCollection = 'usage_records';
+    this.dailyCollection = 'usage_daily';
+    this.featureDailyCollection = 'usage_daily_features';
+    this.featureShards = Math.max(parseInt(process.env.USAGE_FEATURE_SHARDS || '10'), 1);
+    this.timeZone = process.env.USAGE_TIMEZONE || 'Asia/Taipei';
+  }
+
+  /**
+   * 取得日期鍵（YYYY-MM-DD）
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  getDateKey(date = new Date()) {
+    // en-CA 的日期格式即為 YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(date);
+  }
+
+  /**
+   * 寫入一筆用量紀錄並累加每日彙總
+   * @param {Object} usage
+   * @param {string} usage.userId - 用戶 ID（遊客為 guest:<hash>）
+   * @param {string} usage.feature - 功能名稱（USAGE_FEATURES）
+   * @param {number} [usage.tokensUsed] - 翻譯使用的 token 數
+   * @param {number} [usage.audioSeconds] - 語音轉文字的音訊秒數
+   * @param {number} [usage.ttsCharacters] - 文字轉語音的字元數
+   * @param {boolean} [usage.cached] - 是否由快取回應（不產生模型費用）
+   * @param {string} [usage.provider] - 翻譯 provider
+   * @param {string} [usage.model] - 使用的模型
+   * @param {string} [usage.roomId] - 聊天室 ID
+   * @returns {Promise<void>}
+   */
+  async record(usage) {
+    const {
+      userId,
+      feature,
+      tokensUsed = 0,
+      audioSeconds = 0,
+      ttsCharacters = 0,
+      cached = false,
+      provider = null,
+      model = null,
+      roomId = null,
+    } = usage;
+
+    try {
+      const date = this.getDateKey();
+      const increments = {
+        requests: FieldValue.increment(1),
+        cachedRequests: FieldValue.increment(cached ? 1 : 0),
+        tokensUsed: FieldValue.increment(tokensUsed || 0),
+        audioSeconds: FieldValue.increment(audioSeconds || 0),
+        ttsCharacters: FieldValue.increment(ttsCharacters || 0),
+      };
+
+      const batch = this.db.batch();
+
+      batch.set(this.db.collection(this.recordsCollection).doc(), {
+        userId,
+        feature,
+        date,
+        tokensUsed: tokensUsed || 0,
+        audioSeconds: audioSeconds || 0,
+        ttsCharacters: ttsCharacters || 0,
+        cached,
+        provider,
+        model,
+        roomId,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+
+      batch.set(this.db.collection(this.dailyCollection).doc(`${date}_${userId}`), {
+        date,
+        userId,
+        ...increments,
+        features: { [feature]: increments },
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      const shard = Math.floor(Math.random() * this.featureShards);
+      batch.set(this.db.collection(this.featureDailyCollection).doc(`${date}_${feature}_${shard}`), {
+        date,
+        feature,
+        shard,
+        ...increments,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      await batch.commit();
+    } catch (error) {
+      console.error(`[Usage] Failed to record ${feature} usage for ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * 列出日期範圍內的每一天（含頭尾）
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {string[]}
+   */
+  listDates(startDate, endDate) {
+    const dates = [];
+    const cursor = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+
+    while (cursor <= end) {
+      dates.push(cursor.toISOString().substring(0, 10));
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+    return dates;
+  }
+
+  /**
+   * 查詢用戶的每日用量
+   * @param {string} userId - 用戶 ID
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Promise<{days: Object[], totals: Object}>}
+   */
+  async getUserUsage(userId, startDate, endDate) {
+    const refs = this.listDates(startDate, endDate)
+      .map((date) => this.db.collection(this.dailyCollection).doc(`${date}_${userId}`));
+    const docs = await this.db.getAll(...refs);
+
+    const days = docs
+      .filter((doc) => doc.exists)
+      .map((doc) => {
+        const data = doc.data();
+        return { date: data.date, ...this.pickMetrics(data), features: this.mapFeatures(data.features) };
+      });
+
+    return { days, totals: this.sumMetrics(days) };
+  }
+
+  /**
+   * 查詢各功能的每日總用量（所有用戶，加總各分片）
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @param {string[]} [features] - 只查詢指定功能（預設全部）
+   * @returns {Promise<{days: Object[], totals: Object}>}
+   */
+  async getFeatureUsage(startDate, endDate, features = USAGE_FEATURES) {
+    const dates = this.listDates(startDate, endDate);
+
+    // 單一欄位的範圍查詢，不需要複合索引；分片數量改變或未分片的舊文件也會一併加總
+    const snapshot = await this.db
+      .collection(this.featureDailyCollection)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .get();
+
+    const byDate = new Map(dates.map((date) => [date, { date, features: {} }]));
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const day = byDate.get(data.date);
+      if (!day || !features.includes(data.feature)) {
+        continue;
+      }
+      day.features[data.feature] = this.sumMetrics([day.features[data.feature] || {}, data]);
+    }
+
+    const days = [...byDate.values()]
+      .filter((day) => Object.keys(day.features).length > 0)
+      .map((day) => ({ ...day, ...this.sumMetrics(Object.values(day.features)) }));
+
+    return { days, totals: this.sumMetrics(days) };
+  }
+
+  /**
+   * 取出彙總欄位（缺少的欄位補 0）
+   */
+  pickMetrics(data = {}) {
+    const metrics = {};
+    for (const metric of USAGE_METRICS) {
+      metrics[metric] = data[metric] || 0;
+    }
+    return metrics;
+  }
+
+  /**
+   * 整理各功能明細
+   */
+  mapFeatures(features = {}) {
+    const mapped = {};
+    for (const [feature, data] of Object.entries(features)) {
+      mapped[feature] = this.pickMetrics(data);
+    }
+    return mapped;
+  }
+
+  /**
+   * 加總多筆彙總
+   */
+  sumMetrics(items) {
+    const totals = this.pickMetrics();
+    for (const item of items) {
+      for (const metric of USAGE_METRICS) {
+        totals[metric] += item[metric] || 0;
+      }
+    }
+    return totals;
+  }
+}
+
+module.exports = {
+  UsageService,
+  USAGE_FEATURES,
+};
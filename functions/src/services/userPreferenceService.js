@@ -0,0 +1,92 @@
+const { getFirestore } = require('firebase-admin/firestore');
+const { resolveLanguage } = require('../utils/languages');
+
+// 翻譯語氣：casual（口語）、polite（禮貌）、honorific（敬語）
+const TRANSLATION_REGISTERS = ['casual', 'polite', 'honorific'];
+
+// 未設定或無法解析偏好語言時使用的語言
+const DEFAULT_PREFERRED_LANG = 'zh-TW';
+
+/**
+ * 正規化偏好語言（zh_TW、zh-Hant 等舊寫法解析為 zh-TW）
+ * @param {string} value - users/{uid}.preferredLang
+ * @returns {string}
+ */
+function normalizePreferredLang(value) {
+  return resolveLanguage(value, 'translate') || DEFAULT_PREFERRED_LANG;
+}
+
+/**
+ * 用戶偏好服務
+ * 讀取 users/{uid} 中與翻譯相關的設定
+ *
+ * 欄位：
+ * - preferredLang：偏好語言（預設 zh-TW，讀取時正規化為語言註冊表中的代碼）
+ * - translationRegister：希望收到的翻譯語氣（casual / polite / honorific）
+ */
+class UserPreferenceService {
+  constructor() {
+    this.db = getFirestore();
+    this.usersCollection = 'users';
+  }
+
+  /**
+   * 讀取用戶偏好
+   * @param {string} userId - 用戶 ID
+   * @returns {Promise<{preferredLang: string, translationRegister: string|null}>}
+   */
+  async getPreferences(userId) {
+    const userDoc = userId ? await this.db.collection(this.usersCollection).doc(userId).get() : null;
+    const data = userDoc && userDoc.exists ? userDoc.data() : {};
+
+    return {
+      preferredLang: normalizePreferredLang(data.preferredLang),
+      translationRegister: TRANSLATION_REGISTERS.includes(data.translationRegister) ? data.translationRegister : null,
+    };
+  }
+
+  /**
+   * 一次讀取多位用戶的偏好
+   * @param {string[]} userIds - 用戶 ID
+   * @returns {Promise<Map<string, {preferredLang: string, translationRegister: string|null}>>}
+   */
+  async getPreferencesForUsers(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const refs = ids.map((userId) => this.db.collection(this.usersCollection).doc(userId));
+    const docs = await this.db.getAll(...refs);
+
+    return new Map(docs.map((doc) => {
+      const data = doc.exists ? doc.data() : {};
+      return [doc.id, {
+        preferredLang: normalizePreferredLang(data.preferredLang),
+        translationRegister: TRANSLATION_REGISTERS.includes(data.translationRegister) ? data.translationRegister : null,
+      }];
+    }));
+  }
+
+  /**
+   * 讀取用戶希望的翻譯語氣（讀取失敗時回傳 null，不影響翻譯）
+   * @param {string} userId - 用戶 ID
+   * @returns {Promise<string|null>}
+   */
+  async getRegister(userId) {
+    try {
+      const preferences = await this.getPreferences(userId);
+      return preferences.translationRegister;
+    } catch (error) {
+      console.error('[UserPreference] Failed to read translation register:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  UserPreferenceService,
+  TRANSLATION_REGISTERS,
+  DEFAULT_PREFERRED_LANG,
+  normalizePreferredLang,
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { getAuth } = require('firebase-admin/auth');
+
+/**
+ * 從 Authorization: Bearer <idToken> 解析並驗證 Firebase ID Token
+ * @param {Object} req - HTTP 請求對象
+ * @param {string} [logTag] - 日誌前綴
+ * @returns {Promise<Object|null>} - 驗證後的 token；未提供或驗證失敗時回傳 null
+ */
+async function verifyRequestToken(req, logTag = '[Auth]') {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const idToken = authHeader.split('Bearer ')[1];
+  try {
+    return await getAuth().verifyIdToken(idToken);
+  } catch (error) {
+    console.error(`${logTag} Token verification failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * 檢查是否為管理員（Custom Claims: { admin: true }）
+ * @param {Object|null} decodedToken
+ * @returns {boolean}
+ */
+function isAdminToken(decodedToken) {
+  return !!decodedToken && decodedToken.admin === true;
+}
+
+/**
+ * 取得請求來源 IP
+ *
+ * X-Forwarded-For 前面的位址可由客戶端任意填寫，不可信任；Cloud Functions 前方的 Google 前端代理
+ * 會把實際連線的位址附加在最後，因此取從右邊數第 TRUSTED_PROXY_HOPS 個（預設 1）位址
+ * @param {Object} req - HTTP 請求對象
+ * @returns {string}
+ */
+function getClientIp(req) {
+  const hops = Math.max(parseInt(process.env.TRUSTED_PROXY_HOPS || '1'), 1);
+  const forwardedFor = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  if (forwardedFor.length >= hops) {
+    return forwardedFor[forwardedFor.length - hops];
+  }
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * 產生遊客指紋（IP + User-Agent + 客戶端提供的 X-Device-Id 的雜湊，不保存原始值）
+ * 只用於用量紀錄區分遊客；User-Agent 與 X-Device-Id 由客戶端控制，不可用於限流
+ * @param {Object} req - HTTP 請求對象
+ * @returns {string}
+ */
+function getGuestFingerprint(req) {
+  const parts = [getClientIp(req), req.headers['user-agent'] || '', req.headers['x-device-id'] || ''];
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 16);
+}
+
+/**
+ * 取得請求者身分（用量紀錄與限流使用）
+ * 登入用戶為 uid；遊客為 guest:<指紋>
+ * @param {Object} req - HTTP 請求對象
+ * @param {Object|null} decodedToken - 驗證後的 token
+ * @returns {string}
+ */
+function getRequestIdentity(req, decodedToken) {
+  if (decodedToken && decodedToken.uid) {
+    return decodedToken.uid;
+  }
+  return `guest:${getGuestFingerprint(req)}`;
+}
+
+module.exports = {
+  verifyRequestToken,
+  isAdminToken,
+  getClientIp,
+  getGuestFingerprint,
+  getRequestIdentity,
+};
@@ -0,0 +1,216 @@
+/**
+ * 語言註冊表
+ *
+ * 所有端點與服務支援的語言都以此為準，GET /languages 也直接回傳這份資料
+ *
+ * 每個語言：
+ * - code：應用使用的語言代碼
+ * - name / nativeName：英文名稱與母語名稱（nativeName 也用於翻譯 prompt）
+ * - capabilities：translate（翻譯）、stt（語音轉文字）、tts（文字轉語音）、detect（本地語言偵測）
+ * - whisperCode：Whisper API 使用的 ISO 639-1 代碼
+ * - ttsVoice：OpenAI TTS 預設語音
+ */
+
+const LANGUAGES = [
+  { code: 'zh-TW', name: 'Traditional Chinese', nativeName: '繁體中文', whisperCode: 'zh', ttsVoice: 'nova', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'en', name: 'English', nativeName: 'English', whisperCode: 'en', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', whisperCode: 'ja', ttsVoice: 'shimmer', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', whisperCode: 'ko', ttsVoice: 'nova', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'vi', name: 'Vietnamese', nativeName: 'Tiếng Việt', whisperCode: 'vi', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'th', name: 'Thai', nativeName: 'ไทย', whisperCode: 'th', ttsVoice: 'nova', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'ms', name: 'Malay', nativeName: 'Bahasa Melayu', whisperCode: 'ms', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+  { code: 'id', name: 'Indonesian', nativeName: 'Bahasa Indonesia', whisperCode: 'id', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: true, detect: true } },
+
+  // 以下語言目前只用於語音翻譯（sttAndTranslate）與文字翻譯，尚未開放 TTS 與本地偵測
+  { code: 'zh-CN', name: 'Simplified Chinese', nativeName: '简体中文', whisperCode: 'zh', ttsVoice: 'nova', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', whisperCode: 'es', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'fr', name: 'French', nativeName: 'Français', whisperCode: 'fr', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', whisperCode: 'de', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', whisperCode: 'it', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', whisperCode: 'pt', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'ru', name: 'Russian', nativeName: 'Русский', whisperCode: 'ru', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'ar', name: 'Arabic', nativeName: 'العربية', whisperCode: 'ar', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', whisperCode: 'hi', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'bn', name: 'Bengali', nativeName: 'বাংলা', whisperCode: 'bn', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'pa', name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', whisperCode: 'pa', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  // Whisper 的爪哇語代碼為 jw（不是 ISO 639-1 的 jv）
+  { code: 'jv', name: 'Javanese', nativeName: 'Basa Jawa', whisperCode: 'jw', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'sw', name: 'Swahili', nativeName: 'Kiswahili', whisperCode: 'sw', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'te', name: 'Telugu', nativeName: 'తెలుగు', whisperCode: 'te', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'mr', name: 'Marathi', nativeName: 'मराठी', whisperCode: 'mr', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'ta', name: 'Tamil', nativeName: 'தமிழ்', whisperCode: 'ta', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+  { code: 'ur', name: 'Urdu', nativeName: 'اردو', whisperCode: 'ur', ttsVoice: 'alloy', capabilities: { translate: true, stt: true, tts: false, detect: false } },
+];
+
+const LANGUAGE_CAPABILITIES = ['translate', 'stt', 'tts', 'detect'];
+
+const LANGUAGES_BY_CODE = new Map(LANGUAGES.map((language) => [language.code, language]));
+
+// 舊式或同義的語言代碼
+const LANGUAGE_ALIASES = {
+  in: 'id',   // 印尼文舊代碼
+  jw: 'jv',   // Whisper / 舊式爪哇語代碼
+  zsm: 'ms',  // 標準馬來語
+  cmn: 'zh',  // 官話
+};
+
+// 對應簡體中文的地區（其餘中文地區與未指定時視為繁體中文）
+const SIMPLIFIED_CHINESE_REGIONS = ['CN', 'SG', 'MY'];
+
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+
+/**
+ * 取得語言資料
+ * @param {string} code - 語言代碼
+ * @returns {Object|null}
+ */
+function getLanguage(code) {
+  return LANGUAGES_BY_CODE.get(code) || null;
+}
+
+/**
+ * 列出語言（可依功能篩選）
+ * @param {string} [capability] - translate | stt | tts | detect
+ * @returns {Object[]}
+ */
+function listLanguages(capability) {
+  return capability
+    ? LANGUAGES.filter((language) => language.capabilities[capability])
+    : LANGUAGES;
+}
+
+/**
+ * 取得支援指定功能的語言代碼
+ * @param {string} capability - translate | stt | tts | detect
+ * @returns {string[]}
+ */
+function getSupportedCodes(capability) {
+  return listLanguages(capability).map((language) => language.code);
+}
+
+/**
+ * 檢查語言是否支援指定功能
+ * @param {string} code - 語言代碼
+ * @param {string} capability - translate | stt | tts | detect
+ * @returns {boolean}
+ */
+function isSupported(code, capability) {
+  const language = getLanguage(code);
+  return !!language && !!language.capabilities[capability];
+}
+
+/**
+ * 將語言標籤正規化為 BCP-47 的標準大小寫（zh_hant_tw → zh-Hant-TW、PT-br → pt-BR）
+ * @param {string} tag - 客戶端送來的語言標籤
+ * @returns {string|null} - 格式不正確時回傳 null
+ */
+function canonicalizeLanguageTag(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const normalized = tag.trim().replace(/_/g, '-');
+  if (!LANGUAGE_TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  const [language, ...subtags] = normalized.split('-');
+  const primary = language.toLowerCase();
+
+  return [
+    LANGUAGE_ALIASES[primary] || primary,
+    ...subtags.map((subtag) => {
+      if (/^[a-z]{4}$/i.test(subtag)) {
+        // 文字（script）：首字大寫
+        return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+      }
+      if (/^([a-z]{2}|\d{3})$/i.test(subtag)) {
+        // 地區（region）：全大寫
+        return subtag.toUpperCase();
+      }
+      return subtag.toLowerCase();
+    }),
+  ].join('-');
+}
+
+/**
+ * 將語言標籤解析為註冊表中最接近的語言
+ *
+ * - 完全相符時直接使用（zh-tw → zh-TW）
+ * - 中文依文字與地區決定繁簡：zh-Hant、zh-HK → zh-TW；zh-Hans、zh-SG → zh-CN；未指定時為 zh-TW
+ * - 其他語言去掉文字與地區後比對主要語言（pt-BR → pt、en-US → en）
+ * - 指定 capability 時只回傳支援該功能的語言（例如 zh-CN 不支援 tts 時改用 zh-TW）
+ *
+ * @param {string} tag - 客戶端送來的語言標籤
+ * @param {string} [capability] - translate | stt | tts | detect
+ * @returns {string|null} - 註冊表中的語言代碼，無法解析時回傳 null
+ */
+function resolveLanguage(tag, capability) {
+  const canonical = canonicalizeLanguageTag(tag);
+  if (!canonical) {
+    return null;
+  }
+
+  const [language, ...subtags] = canonical.split('-');
+  const script = subtags.find((subtag) => /^[A-Z][a-z]{3}$/.test(subtag));
+  const region = subtags.find((subtag) => /^([A-Z]{2}|\d{3})$/.test(subtag));
+
+  const candidates = [canonical];
+  if (language === 'zh') {
+    const simplified = script
+      ? script === 'Hans'
+      : SIMPLIFIED_CHINESE_REGIONS.includes(region);
+    candidates.push(...(simplified ? ['zh-CN', 'zh-TW'] : ['zh-TW', 'zh-CN']));
+  } else {
+    if (region) {
+      candidates.push(`${language}-${region}`);
+    }
+    candidates.push(language);
+  }
+
+  return candidates.find((code) => (capability ? isSupported(code, capability) : !!getLanguage(code))) || null;
+}
+
+/**
+ * 取得 Whisper API 的語言代碼（未註冊時取主要語言部分，例如 pt-BR → pt）
+ * @param {string} code - 語言代碼
+ * @returns {string}
+ */
+function getWhisperCode(code) {
+  const language = getLanguage(code);
+  return language ? language.whisperCode : code.split('-')[0];
+}
+
+/**
+ * 取得 TTS 預設語音
+ * @param {string} code - 語言代碼
+ * @returns {string}
+ */
+function getTtsVoice(code) {
+  const language = getLanguage(code);
+  return language ? language.ttsVoice : 'alloy';
+}
+
+/**
+ * 取得翻譯 prompt 使用的語言名稱（未註冊時直接使用代碼）
+ * @param {string} code - 語言代碼
+ * @returns {string}
+ */
+function getPromptName(code) {
+  const language = getLanguage(code);
+  return language ? language.nativeName : code;
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_CAPABILITIES,
+  getLanguage,
+  listLanguages,
+  getSupportedCodes,
+  isSupported,
+  canonicalizeLanguageTag,
+  resolveLanguage,
+  getWhisperCode,
+  getTtsVoice,
+  getPromptName,
+};
@@ -0,0 +1,74 @@
+/**
+ * 有容量上限的 LRU 記憶體快取（每筆資料帶有存活時間）
+ *
+ * 利用 Map 保留插入順序：讀取時移到最後，超過容量時淘汰最前面（最久未使用）的項目
+ */
+class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - 最多保留的項目數
+   * @param {number} options.ttlMs - 每筆資料的存活時間（毫秒）
+   */
+  constructor({ maxEntries, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * 讀取資料（過期時刪除並回傳 undefined）
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // 移到最後（最近使用）
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * 寫入資料（超過容量時淘汰最久未使用的項目）
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 刪除資料
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 清空快取
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { LruCache };
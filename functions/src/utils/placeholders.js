@@ -0,0 +1,53 @@
+/**
+ * 翻譯佔位符工具
+ *
+ * 翻譯前將不可更動的片段替換為 [[G1]] 形式的佔位符，翻譯後再還原
+ */
+
+const PLACEHOLDER_PATTERN = /\[\[[A-Z]+\d+\]\]/;
+
+/**
+ * 建立佔位符
+ * @param {string} prefix - 類別前綴（大寫英文字母）
+ * @param {number} index - 序號（從 1 開始）
+ * @returns {string}
+ */
+function createPlaceholder(prefix, index) {
+  return `[[${prefix}${index}]]`;
+}
+
+/**
+ * 檢查文字是否包含佔位符
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasPlaceholders(text) {
+  return PLACEHOLDER_PATTERN.test(text);
+}
+
+/**
+ * 還原佔位符
+ * @param {string} text - 含佔位符的譯文
+ * @param {{token: string, value: string}[]} replacements - 佔位符與還原值
+ * @returns {{text: string, missing: string[]}} - 還原後的文字與遺失的佔位符
+ */
+function restorePlaceholders(text, replacements) {
+  const missing = [];
+  let restored = text;
+
+  for (const { token, value } of replacements) {
+    if (!restored.includes(token)) {
+      missing.push(token);
+      continue;
+    }
+    restored = restored.split(token).join(value);
+  }
+
+  return { text: restored, missing };
+}
+
+module.exports = {
+  createPlaceholder,
+  hasPlaceholders,
+  restorePlaceholders,
+};
@@ -0,0 +1,129 @@
+/**
+ * 受保護片段（Protected Spans）
+ *
+ * 電話、網址、Email、訂單編號 / 航班 / 車牌、emoji、@提及 在翻譯中必須原封不動
+ * 翻譯前替換為佔位符，翻譯後還原；佔位符遺失的譯文必須重試或拒絕
+ */
+
+const { createPlaceholder } = require('./placeholders');
+
+// 常見的航空公司 IATA 代碼（台灣航線為主）
+// 刻意不含 OK（捷克航空），避免與口語的「OK」混淆
+const AIRLINE_CODES = [
+  'BR', 'CI', 'AE', 'B7', 'IT', 'JX', 'CX', 'HX', 'UO', 'JL', 'NH', 'MM', 'GK', 'KE', 'OZ', '7C', 'LJ', 'TW',
+  'VN', 'VJ', 'TG', 'SQ', 'TR', 'MH', 'AK', 'D7', 'PR', '5J', 'CA', 'MU', 'CZ', 'NX', 'UA', 'AA', 'DL', 'AC',
+  'EK', 'QR', 'TK', 'KL', 'AF', 'LH', 'BA', 'QF', 'NZ',
+];
+
+// 依優先順序排列：前面的規則先取得重疊範圍（例如網址中的數字不會被視為電話）
+const SPAN_RULES = [
+  {
+    type: 'url',
+    prefix: 'U',
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'，。！？、]+[^\s<>"'，。！？、.,!?;:)\]]/giu,
+  },
+  {
+    type: 'email',
+    prefix: 'E',
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gu,
+  },
+  {
+    type: 'mention',
+    prefix: 'M',
+    pattern: /(?<![\p{L}\p{N}_@])@[\p{L}\p{N}_.]*[\p{L}\p{N}_]/gu,
+  },
+  {
+    // 日期（2024-01-15、15/01/2024）不需保護，但要先佔住範圍，避免被視為電話
+    type: 'date',
+    pattern: /(?<![\p{L}\p{N}])(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4})(?![\p{L}\p{N}])/gu,
+    passthrough: true,
+  },
+  {
+    // 國際 / 市話 / 手機：至少 8 位數字，可含空白、連字號與括號
+    type: 'phone',
+    prefix: 'P',
+    pattern: /(?<![\p{L}\p{N}])\+?\(?\d(?:[\d\s\-().]*\d){7,}(?![\p{L}\p{N}])/gu,
+  },
+  {
+    // 航班（BR 198、CI006）：只接受常見航空公司代碼，避免「OK 20」之類的一般文字被凍結
+    // 其他英數混合的航班號（5 碼以上）仍會被下方的 code 規則保護
+    type: 'flight',
+    prefix: 'F',
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${AIRLINE_CODES.join('|')})\\s?\\d{2,4}(?![\\p{L}\\p{N}])`, 'gu'),
+  },
+  {
+    // 訂單編號、車牌等英數混合代碼（ABC-1234、RG20240115A1）
+    type: 'code',
+    prefix: 'C',
+    pattern: /(?<![\p{L}\p{N}])(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z0-9]+(?:-[A-Z0-9]+)*(?![\p{L}\p{N}])/gu,
+    minLength: 5,
+  },
+  {
+    type: 'emoji',
+    prefix: 'X',
+    pattern: /(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*)+/gu,
+  },
+];
+
+/**
+ * 找出文字中所有受保護片段（不重疊，依規則優先順序）
+ * @param {string} text - 原文
+ * @returns {{type: string, prefix: string, start: number, end: number, value: string}[]}
+ */
+function findProtectedSpans(text) {
+  const claimed = [];
+
+  for (const rule of SPAN_RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const value = match[0];
+      if (rule.minLength && value.length < rule.minLength) continue;
+
+      const start = match.index;
+      const end = start + value.length;
+      const overlaps = claimed.some((span) => start < span.end && end > span.start);
+      if (!overlaps) {
+        claimed.push({ type: rule.type, prefix: rule.prefix, start, end, value, passthrough: !!rule.passthrough });
+      }
+    }
+  }
+
+  // passthrough 規則只用來佔住範圍，本身不保護
+  return claimed
+    .filter((span) => !span.passthrough)
+    .map(({ passthrough, ...span }) => span)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 將受保護片段替換為佔位符
+ * @param {string} text - 原文
+ * @returns {{text: string, replacements: {token: string, value: string, type: string}[]}}
+ */
+function protectSpans(text) {
+  const spans = findProtectedSpans(text);
+  if (spans.length === 0) {
+    return { text, replacements: [] };
+  }
+
+  const counters = {};
+  const replacements = [];
+  let masked = '';
+  let cursor = 0;
+
+  for (const span of spans) {
+    counters[span.prefix] = (counters[span.prefix] || 0) + 1;
+    const token = createPlaceholder(span.prefix, counters[span.prefix]);
+
+    masked += text.slice(cursor, span.start) + token;
+    cursor = span.end;
+    replacements.push({ token, value: span.value, type: span.type });
+  }
+  masked += text.slice(cursor);
+
+  return { text: masked, replacements };
+}
+
+module.exports = {
+  findProtectedSpans,
+  protectSpans,
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { RateLimitService } = require('../services/rateLimitService');
+const { getClientIp } = require('./auth');
+
+/**
+ * 對 HTTPS 請求套用限流
+ *
+ * 一律設定 X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset（Unix 秒）標頭；
+ * 超過限制時另外設定 Retry-After 並回應 429
+ * 限流服務本身失敗時放行（不因計數失敗而中斷服務）
+ * @param {Object} req - HTTP 請求對象
+ * @param {Object} res - HTTP 回應對象
+ * @param {string} endpoint - 端點名稱（對應 DEFAULT_RATE_LIMITS）
+ * @param {Object|null} decodedToken - 驗證後的 token（遊客為 null）
+ * @returns {Promise<boolean>} - false 表示已回應 429，呼叫端應直接結束
+ */
+async function enforceRateLimit(req, res, endpoint, decodedToken) {
+  let result;
+  try {
+    result = await new RateLimitService().consume(endpoint, {
+      uid: decodedToken ? decodedToken.uid : null,
+      ipHash: crypto.createHash('sha256').update(getClientIp(req)).digest('hex').substring(0, 16),
+    });
+  } catch (error) {
+    console.error(`[RateLimit] Failed to check rate limit for ${endpoint}, allowing request:`, error.message);
+    return true;
+  }
+
+  if (result.limit !== null) {
+    res.set('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+  }
+
+  if (result.allowed) {
+    return true;
+  }
+
+  console.warn(`[RateLimit] ${endpoint} limit exceeded for ${decodedToken ? decodedToken.uid : 'guest'}`);
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: 'Too many requests. Please try again later.',
+    retryAfter: result.retryAfter,
+  });
+  return false;
+}
+
+module.exports = {
+  enforceRateLimit,
+};
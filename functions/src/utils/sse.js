@@ -0,0 +1,47 @@
+/**
+ * Server-Sent Events 工具
+ *
+ * 事件格式：
+ *   event: <名稱>
+ *   data: <JSON>
+ */
+
+/**
+ * 開始 SSE 回應（送出標頭，之後以 sendEvent 逐筆寫入）
+ * @param {Object} res - Express Response
+ */
+function startEventStream(res) {
+  res.status(200);
+  res.set('Content-Type', 'text/event-stream; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.set('Connection', 'keep-alive');
+  // 避免反向代理緩衝整個回應
+  res.set('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+}
+
+/**
+ * 送出一筆 SSE 事件
+ * @param {Object} res - Express Response
+ * @param {string} event - 事件名稱
+ * @param {Object} data - 事件內容（以 JSON 傳送）
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * 判斷請求是否要求串流回應（body.stream 為 true 或 Accept: text/event-stream）
+ * @param {Object} req - Express Request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  return (req.body && req.body.stream === true)
+    || (req.headers.accept || '').includes('text/event-stream');
+}
+
+module.exports = {
+  startEventStream,
+  sendEvent,
+  wantsEventStream,
+};
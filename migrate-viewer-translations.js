@@ -0,0 +1,176 @@
+/**
+ * 顯示翻譯遷移工具
+ *
+ * 用途：把舊訊息轉換為 viewerLangs 格式（每位成員看到自己語言的譯文）
+ * - 只有 translatedText、沒有對應 translations.{lang} 的訊息：以本地規則判斷譯文語言後補上（provider: 'legacy'）
+ * - 依聊天室成員目前的 preferredLang 寫入 viewerLangs（發送者看原文）
+ * 已有 viewerLangs 的訊息不會被修改，可重複執行
+ *
+ * 使用方式：
+ *   node migrate-viewer-translations.js [選項]
+ *
+ * 選項：
+ *   --room=<id>              只遷移單一聊天室
+ *   --limit=<n>              最多處理的聊天室數
+ *   --project=<id>           Firebase 專案（預設 GCLOUD_PROJECT 或 .firebaserc 的 prod）
+ *   --emulator[=host:port]   連線到 Firestore 模擬器（預設 FIRESTORE_EMULATOR_HOST 或 localhost:8080）
+ *   --dry-run                只統計會受影響的訊息數量，不寫入
+ *   --page-size=500          每頁讀取的文件數（最多 500）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// firebase-admin 安裝在 functions/ 底下，從專案根目錄執行時也能找到
+const admin = require(require.resolve('firebase-admin', {
+  paths: [__dirname, path.join(__dirname, 'functions')],
+}));
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * 解析命令列參數
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      options[key] = rest.length > 0 ? rest.join('=') : true;
+    }
+  }
+  return options;
+}
+
+/**
+ * 決定要連線的專案（--project → GCLOUD_PROJECT → .firebaserc）
+ * @param {Object} options
+ * @returns {string|null}
+ */
+function resolveProjectId(options) {
+  if (typeof options.project === 'string') {
+    return options.project;
+  }
+  if (process.env.GCLOUD_PROJECT) {
+    return process.env.GCLOUD_PROJECT;
+  }
+
+  const rcPath = path.join(__dirname, '.firebaserc');
+  if (fs.existsSync(rcPath)) {
+    const { projects = {} } = JSON.parse(fs.readFileSync(rcPath, 'utf8'));
+    return projects.default || projects.prod || null;
+  }
+  return null;
+}
+
+/**
+ * 依文件 ID 分頁列出聊天室 ID
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {number} pageSize
+ * @param {number} limit - 最多回傳的數量
+ */
+async function* listRoomIds(db, pageSize, limit) {
+  const query = db.collection('chat_rooms')
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .select()
+    .limit(pageSize);
+
+  let lastDoc = null;
+  let count = 0;
+  for (;;) {
+    const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+    if (snapshot.empty) {
+      return;
+    }
+
+    for (const doc of snapshot.docs) {
+      if (count >= limit) {
+        return;
+      }
+      count++;
+      yield doc.id;
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < pageSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * 顯示使用說明
+ */
+function printUsage() {
+  console.log('使用方式:');
+  console.log('  node migrate-viewer-translations.js --dry-run');
+  console.log('  node migrate-viewer-translations.js [--limit=100]');
+  console.log('  node migrate-viewer-translations.js --room=<roomId>');
+  console.log('\n共用選項: --project=<id>  --emulator[=host:port]  --dry-run  --page-size=500');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  if (options.emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST = typeof options.emulator === 'string'
+      ? options.emulator
+      : (process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080');
+  }
+
+  const projectId = resolveProjectId(options);
+  if (!projectId) {
+    throw new Error('無法決定 Firebase 專案，請使用 --project=<id>');
+  }
+
+  admin.initializeApp({ projectId });
+  const db = admin.firestore();
+
+  // 服務使用預設的 firebase-admin App，必須在 initializeApp 之後載入
+  const { DisplayTranslationService } = require('./functions/src/services/displayTranslationService');
+  const displayService = new DisplayTranslationService();
+
+  const dryRun = Boolean(options['dry-run']);
+  const pageSize = Math.min(parseInt(options['page-size'] || String(MAX_PAGE_SIZE)), MAX_PAGE_SIZE);
+  const limit = options.limit ? parseInt(options.limit) : Infinity;
+  const target = process.env.FIRESTORE_EMULATOR_HOST ? `模擬器 ${process.env.FIRESTORE_EMULATOR_HOST}` : '正式環境';
+
+  console.log('='.repeat(80));
+  console.log(`🔁 顯示翻譯遷移工具（${projectId}，${target}${dryRun ? '，dry-run' : ''}）`);
+  console.log('='.repeat(80));
+
+  const totals = { rooms: 0, scanned: 0, migrated: 0, legacyTranslations: 0, skipped: 0 };
+  const roomIds = typeof options.room === 'string' ? [options.room] : listRoomIds(db, pageSize, limit);
+
+  for await (const roomId of roomIds) {
+    const summary = await displayService.migrateRoom(roomId, { pageSize, dryRun });
+    totals.rooms++;
+    for (const key of ['scanned', 'migrated', 'legacyTranslations', 'skipped']) {
+      totals[key] += summary[key];
+    }
+
+    if (summary.migrated > 0) {
+      console.log(`  ${roomId}: ${summary.migrated}/${summary.scanned} 則訊息${dryRun ? '將' : '已'}遷移（補上 ${summary.legacyTranslations} 則舊譯文）`);
+    }
+  }
+
+  console.log('');
+  console.log(`聊天室：${totals.rooms}`);
+  console.log(`訊息：掃描 ${totals.scanned}，${dryRun ? '將遷移' : '已遷移'} ${totals.migrated}，補上舊譯文 ${totals.legacyTranslations}，略過 ${totals.skipped}`);
+  console.log('='.repeat(80));
+}
+
+// 執行主函數
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error('\n❌ 執行失敗:', error.message);
+    process.exit(1);
+  });